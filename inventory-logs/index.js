@@ -3,6 +3,7 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { createClient } from "@supabase/supabase-js";
 import { GoogleGenAI } from "@google/genai";
+import { createAuth } from "./auth.js";
 
 dotenv.config();
 
@@ -21,23 +22,65 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+const { authenticate, requirePermission, withBranch } = createAuth(supabase);
+
 const ai = new GoogleGenAI({
   apiKey: process.env.GEMINI_API_KEY
 });
 
 
+/**
+ * =========================
+ * UNITS
+ * =========================
+ * Logs store `change` in the product's stock unit. Entries may be made in any unit the product
+ * converts to (see the units_of_measure migration), and the list can be shown in another unit.
+ */
+const normalizeUnit = (unit) => String(unit ?? "").trim().toLowerCase() || null;
+
+// { product_id: factor } for a unit code, or each product's purchase/recipe unit
+const loadDisplayFactors = async (productIds, target) => {
+  const ids = [...new Set(productIds)];
+  if (ids.length === 0) return {};
+
+  const { data: products, error } = await supabase
+    .from("products")
+    .select("product_id, unit, purchase_unit, recipe_unit")
+    .in("product_id", ids);
+  if (error) throw error;
+  const { data: factors, error: factorError } = await supabase
+    .from("product_unit_factors")
+    .select("product_id, unit, factor")
+    .in("product_id", ids);
+  if (factorError) throw factorError;
+
+  const result = {};
+  for (const product of products) {
+    const wanted = target === "purchase" ? product.purchase_unit
+      : target === "recipe" ? product.recipe_unit
+      : normalizeUnit(target);
+    const row = factors.find((f) => f.product_id === product.product_id && f.unit === normalizeUnit(wanted));
+    result[product.product_id] = row
+      ? { unit: row.unit, factor: Number(row.factor) }
+      : { unit: product.unit ?? null, factor: 1 };
+  }
+  return result;
+};
+
 /**
  * =========================
  * GET INVENTORY LOGS
  * =========================
+ * ?unit=purchase|recipe|<code> shows change and stock levels in that unit where the product converts
  */
-app.get("/api/inventory-logs", async (req, res) => {
+app.get("/api/inventory-logs", authenticate, withBranch({ allowAll: true }), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from("inventory_logs")
       .select(`
         id,
         product_id,
+        branch_id,
         change,
         reason,
         ref_table,
@@ -47,26 +90,41 @@ app.get("/api/inventory-logs", async (req, res) => {
         metadata,
         unit_cost,
         total_cost,
-        product:products!inventory_logs_product_id_fkey(name),
-        user:users!inventory_logs_created_by_fkey(full_name)
+        product:products!inventory_logs_product_id_fkey(name, unit),
+        user:users!inventory_logs_created_by_fkey(full_name),
+        branch:branches(name)
       `)
       .order("created_at", { ascending: false });
+    if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
 
+    const { data, error } = await query;
     if (error) throw error;
 
+    const target = req.query.unit && req.query.unit !== "stock" ? req.query.unit : null;
+    const factors = target ? await loadDisplayFactors(data.map((log) => log.product_id), target) : {};
+    const inUnit = (log, value) => {
+      const factor = factors[log.product_id]?.factor ?? 1;
+      return value === null || value === undefined ? null : Math.round((Number(value) / factor) * 10000) / 10000;
+    };
+
     const logs = data.map((log) => ({
       id: log.id,
       product: log.product?.name || "N/A",
-      change: log.change,
+      branch_id: log.branch_id,
+      branch: log.branch?.name || null,
+      change: inUnit(log, log.change),
+      unit: factors[log.product_id]?.unit ?? log.product?.unit ?? null,
       reason: log.reason,
       created_by_name: log.user?.full_name || "System",
       created_at: log.created_at,
       metadata: {
-        previous_stock: log.metadata?.previous_stock ?? null,
-        new_stock: log.metadata?.new_stock ?? null,
+        previous_stock: inUnit(log, log.metadata?.previous_stock),
+        new_stock: inUnit(log, log.metadata?.new_stock),
         // ✅ Fallback to columns if metadata is missing
         unit_cost: log.metadata?.unit_cost ?? log.unit_cost ?? 0,
         total_cost_impact: log.metadata?.total_cost_impact ?? log.total_cost ?? 0,
+        entered_quantity: log.metadata?.entered_quantity ?? null,
+        entered_unit: log.metadata?.entered_unit ?? null,
       },
     }));
 
@@ -81,56 +139,66 @@ app.get("/api/inventory-logs", async (req, res) => {
  * =========================
  * CREATE INVENTORY LOG
  * =========================
+ * `change` is in the product's stock unit, or in `unit` when given (e.g. -500 with unit "ml").
+ * A change that would take the branch's stock below zero is rejected with 409.
  */
-app.post("/api/inventory-logs", async (req, res) => {
+app.post("/api/inventory-logs", requirePermission("inventory:adjust"), withBranch(), async (req, res) => {
   try {
-    const { product_id, change, reason, ref_table, ref_id, created_by } = req.body;
+    const { product_id, reason, ref_table, ref_id } = req.body;
+    const unit = normalizeUnit(req.body.unit);
+    const created_by = req.user.user_id;
 
-    // Get product info
-    const { data: product, error: productError } = await supabase
-      .from("products")
-      .select("stock, cost")
-      .eq("product_id", product_id)
-      .single();
+    if (req.body.change === null || req.body.change === "" || !Number.isFinite(Number(req.body.change))) {
+      return res.status(400).json({ status: "error", message: "change must be a number" });
+    }
+
+    let change = Number(req.body.change);
+    if (unit) {
+      const { data: converted, error: unitError } = await supabase.rpc("to_stock_quantity", {
+        p_product_id: product_id,
+        p_quantity: change,
+        p_unit: unit
+      });
+      if (unitError?.message === "UNIT_CONVERSION") {
+        return res.status(400).json({ status: "error", message: unitError.details });
+      }
+      if (unitError) throw unitError;
+      change = Number(converted);
+    }
 
-    if (productError) throw productError;
+    // Moves the branch's stock and writes the inventory log in one transaction
+    const { data: movements, error: stockError } = await supabase.rpc("apply_stock_movements", {
+      p_branch_id: req.branchId,
+      p_items: [{
+        product_id,
+        change,
+        ...(unit ? { metadata: { entered_quantity: Number(req.body.change), entered_unit: unit } } : {})
+      }],
+      p_reason: reason,
+      p_ref_table: ref_table ?? null,
+      p_ref_id: ref_id ?? null,
+      p_created_by: created_by
+    });
 
-    const previousStock = product.stock;
-    const newStock = previousStock + change;
-    const unitCost = product.cost || 0;
-    const totalCostImpact = change * unitCost;
+    if (stockError?.message === "INSUFFICIENT_STOCK") {
+      return res.status(409).json({
+        status: "error",
+        message: "Not enough stock for this change",
+        shortages: JSON.parse(stockError.details || "[]")
+      });
+    }
+    if (stockError) throw stockError;
 
-    // Insert inventory log
     const { data: log, error: logError } = await supabase
       .from("inventory_logs")
-      .insert([
-        {
-          product_id,
-          change,
-          reason,
-          ref_table,
-          ref_id,
-          created_by,
-          metadata: {
-            previous_stock: previousStock,
-            new_stock: newStock,
-            unit_cost: unitCost,
-            total_cost_impact: totalCostImpact
-          },
-          unit_cost: unitCost,
-          total_cost: totalCostImpact
-        }
-      ])
-      .select()
+      .select("*")
+      .eq("id", movements[0].log_id)
       .single();
 
     if (logError) throw logError;
 
-    // Update product stock
-    await supabase.rpc("update_product_stock", {
-      p_product_id: product_id,
-      p_change: change
-    });
+    const unitCost = Number(log.unit_cost);
+    const totalCostImpact = Number(log.total_cost);
 
     // Insert audit log
     await supabase.from("audit_logs").insert({
@@ -141,6 +209,7 @@ app.post("/api/inventory-logs", async (req, res) => {
       payload: {
         change,
         reason,
+        branch_id: req.branchId,
         unit_cost: unitCost,
         total_cost_impact: totalCostImpact
       },
@@ -163,9 +232,10 @@ app.post("/api/inventory-logs", async (req, res) => {
  * GENERIC AUDIT LOG
  * =========================
  */
-app.post("/api/log-action", async (req, res) => {
+app.post("/api/log-action", requirePermission("audit:write"), async (req, res) => {
   try {
-    const { table, action, rowId, payload, userId } = req.body;
+    const { table, action, rowId, payload } = req.body;
+    const userId = req.user.user_id;
 
     const { data, error } = await supabase
       .from("audit_logs")
@@ -231,7 +301,7 @@ app.listen(PORT, () => {
  * 🧠 GEMINI FORECAST ENDPOINT (IMPROVED)
  * =========================
  */
-app.post("/api/ai/forecast", async (req, res) => {
+app.post("/api/ai/forecast", requirePermission("reports:view"), withBranch({ allowAll: true }), async (req, res) => {
   try {
     const { product_id, days = 7 } = req.body;
 
@@ -240,12 +310,15 @@ app.post("/api/ai/forecast", async (req, res) => {
     if (!product_id) return res.status(400).json({ error: "Product ID required" });
 
     // 1. Fetch historical usage (Stock Out only)
-    const { data: logs, error } = await supabase
+    let logsQuery = supabase
       .from("inventory_logs")
       .select("created_at, change")
       .eq("product_id", product_id)
       .lt("change", 0)
       .order("created_at", { ascending: true });
+    if (req.branchId !== null) logsQuery = logsQuery.eq("branch_id", req.branchId);
+
+    const { data: logs, error } = await logsQuery;
 
     if (error) throw error;
 
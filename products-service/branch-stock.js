@@ -0,0 +1,87 @@
+// branch-stock.js — per-branch stock levels (branch_stock table)
+//
+// Product rows are shared by every branch; how much of a product a branch holds, and when it
+// should reorder, lives in branch_stock. A branch with no row simply holds zero.
+
+export function createBranchStock(supabase) {
+  // Merges stock onto product rows so responses keep their `stock` / `reorder_level` fields.
+  // branchId null = all branches: totals plus a per-branch breakdown.
+  async function attach(products, branchId) {
+    const ids = products.map((p) => p.product_id);
+    if (ids.length === 0) return products;
+
+    let query = supabase
+      .from("branch_stock")
+      .select("branch_id, product_id, stock, reorder_level")
+      .in("product_id", ids);
+    if (branchId !== null) query = query.eq("branch_id", branchId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const byProduct = {};
+    for (const row of data) (byProduct[row.product_id] ??= []).push(row);
+
+    return products.map((product) => {
+      const rows = byProduct[product.product_id] || [];
+      const stock = rows.reduce((sum, r) => sum + Number(r.stock), 0);
+      const reorder_level = rows.reduce((sum, r) => sum + Number(r.reorder_level), 0);
+
+      if (branchId !== null) return { ...product, stock, reorder_level, branch_id: branchId };
+      return {
+        ...product,
+        stock,
+        reorder_level,
+        branches: rows.map(({ branch_id, stock: s, reorder_level: r }) => ({ branch_id, stock: s, reorder_level: r })),
+      };
+    });
+  }
+
+  // Atomic +/- change; returns { previous_stock, new_stock }
+  async function adjust(branchId, productId, change) {
+    const { data, error } = await supabase.rpc("adjust_branch_stock", {
+      p_branch_id: branchId,
+      p_product_id: productId,
+      p_change: change,
+    });
+    if (error) throw error;
+
+    const newStock = Number(data);
+    return { previous_stock: newStock - change, new_stock: newStock };
+  }
+
+  // Overwrites stock and/or reorder level for a branch (manual edits)
+  async function set(branchId, productId, { stock, reorder_level }) {
+    const values = { branch_id: branchId, product_id: productId, updated_at: new Date().toISOString() };
+    if (stock !== undefined) values.stock = stock;
+    if (reorder_level !== undefined) values.reorder_level = reorder_level;
+
+    const { error } = await supabase
+      .from("branch_stock")
+      .upsert([values], { onConflict: "branch_id,product_id" });
+    if (error) throw error;
+  }
+
+  // Non-archived products at or below their reorder level, lowest stock first
+  async function lowStock(branchId) {
+    let query = supabase
+      .from("branch_stock")
+      .select(`
+        branch_id,
+        product_id,
+        stock,
+        reorder_level,
+        product:products!inner(name, unit, archived, supplier_id, suppliers(name), categories(name))
+      `)
+      .eq("product.archived", false)
+      .order("stock", { ascending: true });
+    if (branchId !== null) query = query.eq("branch_id", branchId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return data.filter((row) => Number(row.stock) <= Number(row.reorder_level));
+  }
+
+  return { attach, adjust, set, lowStock };
+}
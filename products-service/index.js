@@ -3,7 +3,11 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { createClient } from "@supabase/supabase-js";
 import { registerReportsRoutes } from "./reports.js";
-import jwt from "jsonwebtoken";
+import { createAuth } from "./auth.js";
+import { createBranchStock } from "./branch-stock.js";
+import { registerUnitRoutes, normalizeUnit, unitError } from "./units.js";
+import { createMailer } from "./mailer.js";
+import { createChannels, registerStockAlertRoutes } from "./stock-alerts.js";
 
 // Load env vars
 dotenv.config();
@@ -29,44 +33,12 @@ app.get("/", (req, res) => {
 });
 
 
-const verifyUser = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) return res.status(401).json({ message: "No token provided" });
-
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "supersecret");
-
-    // Allow both user and employee roles
-    if (!decoded || (decoded.role !== "user" && decoded.role !== "employee")) {
-      return res.status(403).json({ message: "Access denied. Users only." });
-    }
+const { authenticate, requireUser, requirePermission, withBranch } = createAuth(supabase);
+const branchStock = createBranchStock(supabase);
+const units = registerUnitRoutes(app, { supabase, requirePermission });
 
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: "Invalid token" });
-  }
-};
-
-const verifyAdmin = async (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) return res.status(401).json({ message: "No token provided" });
-
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || "supersecret");
-
-    if (!decoded || decoded.role !== "admin") {
-      return res.status(403).json({ message: "Access denied. Admins only." });
-    }
-
-    req.user = decoded;
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: "Invalid token" });
-  }
-};
+// Whether a branch-owned row is visible to the request's branch scope (null = all branches)
+const inBranch = (row, branchId) => branchId === null || String(row.branch_id) === String(branchId);
 
 
 // ================== CATEGORIES ==================
@@ -82,7 +54,7 @@ app.get("/api/categories", async (req, res) => {
 });
 
 // Add category
-app.post("/api/categories", async (req, res) => {
+app.post("/api/categories", requirePermission("products:write"), async (req, res) => {
   const { name, description } = req.body;
   const { data, error } = await supabase
     .from("categories")
@@ -94,7 +66,7 @@ app.post("/api/categories", async (req, res) => {
 });
 
 // Update category
-app.put("/api/categories/:id", async (req, res) => {
+app.put("/api/categories/:id", requirePermission("products:write"), async (req, res) => {
   const { id } = req.params;
   const { name, description } = req.body;
   const { data, error } = await supabase
@@ -108,7 +80,7 @@ app.put("/api/categories/:id", async (req, res) => {
 });
 
 // Delete category
-app.delete("/api/categories/:id", async (req, res) => {
+app.delete("/api/categories/:id", requirePermission("products:write"), async (req, res) => {
   const { id } = req.params;
   const { error } = await supabase.from("categories").delete().eq("id", id);
   if (error) return res.status(400).json({ error: error.message });
@@ -129,7 +101,7 @@ app.get("/api/suppliers", async (req, res) => {
 });
 
 // Add supplier
-app.post("/api/suppliers", async (req, res) => {
+app.post("/api/suppliers", requirePermission("suppliers:write"), async (req, res) => {
   const { name, contact_person, phone, email, address, notes } = req.body;
 
   const { data, error } = await supabase
@@ -143,7 +115,7 @@ app.post("/api/suppliers", async (req, res) => {
 });
 
 // Update supplier
-app.put("/api/suppliers/:id", async (req, res) => {
+app.put("/api/suppliers/:id", requirePermission("suppliers:write"), async (req, res) => {
   const { id } = req.params;
   const { name, contact_person, phone, email, address, notes } = req.body;
 
@@ -166,7 +138,7 @@ app.put("/api/suppliers/:id", async (req, res) => {
 });
 
 // Delete supplier
-app.delete("/api/suppliers/:id", async (req, res) => {
+app.delete("/api/suppliers/:id", requirePermission("suppliers:write"), async (req, res) => {
   const { id } = req.params;
 
   const { error } = await supabase.from("suppliers").delete().eq("id", id);
@@ -177,8 +149,8 @@ app.delete("/api/suppliers/:id", async (req, res) => {
 
 // ================== PRODUCTS ==================
 
-// Get all products (with category + supplier)
-app.get("/api/products", async (req, res) => {
+// Get all products (with category + supplier) and the branch's stock
+app.get("/api/products", authenticate, withBranch({ allowAll: true }), async (req, res) => {
   const { data, error } = await supabase
     .from("products")
     .select("*, categories(name), suppliers(name)")
@@ -186,11 +158,11 @@ app.get("/api/products", async (req, res) => {
     .order("created_at", { ascending: false });
 
   if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.json(await branchStock.attach(data, req.branchId));
 });
 
-// Add product
-app.post("/api/products", async (req, res) => {
+// Add product (opening stock goes to the current branch)
+app.post("/api/products", requirePermission("products:write"), withBranch(), async (req, res) => {
   const {
     name,
     description,
@@ -200,6 +172,9 @@ app.post("/api/products", async (req, res) => {
     price,
     stock,
     reorder_level,
+    unit,
+    purchase_unit,
+    recipe_unit,
   } = req.body;
   const { data, error } = await supabase
     .from("products")
@@ -211,18 +186,21 @@ app.post("/api/products", async (req, res) => {
         supplier_id,
         cost,
         price,
-        stock,
-        reorder_level,
+        unit,
+        purchase_unit: normalizeUnit(purchase_unit),
+        recipe_unit: normalizeUnit(recipe_unit),
       },
     ])
     .select()
     .single();
   if (error) return res.status(400).json({ error: error.message });
-  res.status(201).json(data);
+
+  await branchStock.set(req.branchId, data.product_id, { stock: stock ?? 0, reorder_level: reorder_level ?? 0 });
+  res.status(201).json({ ...data, stock: stock ?? 0, reorder_level: reorder_level ?? 0, branch_id: req.branchId });
 });
 
-// Update product
-app.put("/api/products/:product_id", async (req, res) => {
+// Update product (stock / reorder level apply to the current branch)
+app.put("/api/products/:product_id", requirePermission("products:write"), withBranch(), async (req, res) => {
   const { product_id } = req.params;
   const {
     name,
@@ -233,6 +211,9 @@ app.put("/api/products/:product_id", async (req, res) => {
     price,
     stock,
     reorder_level,
+    unit,
+    purchase_unit,
+    recipe_unit,
   } = req.body;
   const { data, error } = await supabase
     .from("products")
@@ -243,19 +224,26 @@ app.put("/api/products/:product_id", async (req, res) => {
       supplier_id,
       cost,
       price,
-      stock,
-      reorder_level,
+      // Changing the stock unit doesn't convert existing stock; recipes are re-derived
+      unit,
+      purchase_unit: purchase_unit === undefined ? undefined : normalizeUnit(purchase_unit),
+      recipe_unit: recipe_unit === undefined ? undefined : normalizeUnit(recipe_unit),
       updated_at: new Date(),
     })
     .eq("product_id", product_id)
     .select()
     .single();
   if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+
+  if (stock !== undefined || reorder_level !== undefined) {
+    await branchStock.set(req.branchId, product_id, { stock, reorder_level });
+  }
+  const [product] = await branchStock.attach([data], req.branchId);
+  res.json(product);
 });
 
 // Delete product
-app.delete("/api/products/:product_id", async (req, res) => {
+app.delete("/api/products/:product_id", requirePermission("products:write"), async (req, res) => {
   const { product_id } = req.params;
   const { error } = await supabase
     .from("products")
@@ -266,7 +254,7 @@ app.delete("/api/products/:product_id", async (req, res) => {
 });
 
 // Archive product (soft delete)
-app.patch("/api/products/:product_id/archive", verifyAdmin, async (req, res) => {
+app.patch("/api/products/:product_id/archive", requirePermission("products:archive"), async (req, res) => {
   const { product_id } = req.params;
 
   try {
@@ -299,23 +287,20 @@ app.patch("/api/products/:product_id/archive", verifyAdmin, async (req, res) =>
 
 // ================== LOW STOCK AUTO DETECTION ==================
 
-// GET /api/products/low-stock - Admin views low stock products
-app.get("/api/products/low-stock", verifyAdmin, async (req, res) => {
+// GET /api/products/low-stock - Admin views low stock products (?unit=purchase|recipe|<code>)
+app.get("/api/products/low-stock", requirePermission("stock:view"), withBranch({ allowAll: true }), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("products")
-      .select(`
-        product_id,
-        name,
-        stock,
-        reorder_level,
-        suppliers(name),
-        categories(name)
-      `)
-      .lte("stock", supabase.raw("reorder_level"))
-      .order("stock", { ascending: true });
-
-    if (error) throw error;
+    const rows = await branchStock.lowStock(req.branchId);
+    const data = await units.displayIn(rows.map((row) => ({
+      product_id: row.product_id,
+      branch_id: row.branch_id,
+      name: row.product.name,
+      unit: row.product.unit,
+      stock: row.stock,
+      reorder_level: row.reorder_level,
+      suppliers: row.product.suppliers,
+      categories: row.product.categories,
+    })), req.query.unit, ["stock", "reorder_level"]);
 
     res.json({
       message: "Low stock products retrieved",
@@ -329,32 +314,22 @@ app.get("/api/products/low-stock", verifyAdmin, async (req, res) => {
 
 // ================== AUTO PURCHASE SUGGESTION ==================
 
-// GET /api/products/low-stock/suggestions
-app.get("/api/products/low-stock/suggestions", verifyAdmin, async (req, res) => {
+// GET /api/products/low-stock/suggestions (?unit=purchase to suggest in purchase units)
+app.get("/api/products/low-stock/suggestions", requirePermission("stock:view"), withBranch({ allowAll: true }), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("products")
-      .select(`
-        product_id,
-        name,
-        stock,
-        reorder_level,
-        supplier_id,
-        suppliers(name)
-      `)
-      .lte("stock", supabase.raw("reorder_level"));
-
-    if (error) throw error;
+    const data = await branchStock.lowStock(req.branchId);
 
-    const suggestions = data.map(p => ({
+    const suggestions = await units.displayIn(data.map(p => ({
       product_id: p.product_id,
-      product_name: p.name,
-      supplier_id: p.supplier_id,
-      supplier_name: p.suppliers?.name || null,
+      branch_id: p.branch_id,
+      product_name: p.product.name,
+      unit: p.product.unit,
+      supplier_id: p.product.supplier_id,
+      supplier_name: p.product.suppliers?.name || null,
       current_stock: p.stock,
       reorder_level: p.reorder_level,
       suggested_order_qty: Math.max(p.reorder_level - p.stock, 0)
-    }));
+    })), req.query.unit, ["current_stock", "reorder_level", "suggested_order_qty"]);
 
     res.json({
       message: "Purchase suggestions generated",
@@ -366,13 +341,40 @@ app.get("/api/products/low-stock/suggestions", verifyAdmin, async (req, res) =>
   }
 });
 
-registerReportsRoutes(app, supabase);
+// ================== STOCK ALERTS ==================
+
+// STOCK_ALERT_CHANNELS: comma list of in_app, webhook, email (email uses MAIL_TRANSPORT like users-service)
+const stockAlerts = registerStockAlertRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  channels: createChannels(process.env.STOCK_ALERT_CHANNELS ?? "in_app", {
+    webhook: {
+      url: process.env.STOCK_ALERT_WEBHOOK_URL,
+      secret: process.env.STOCK_ALERT_WEBHOOK_SECRET,
+    },
+    email: {
+      to: process.env.STOCK_ALERT_EMAIL_TO,
+      mailer: createMailer({
+        transport: process.env.MAIL_TRANSPORT || "file",
+        from: process.env.MAIL_FROM || "Carwash IMS <no-reply@carwash.local>",
+        dir: process.env.MAIL_DIR || undefined,
+        smtpUrl: process.env.SMTP_URL,
+      }),
+    },
+  }),
+});
+
+registerReportsRoutes(app, supabase, { requirePermission, withBranch, branchStock, units });
 // ================== START SERVER ==================
 app.listen(PORT, () => {
   console.log(`✅ Backend running on http://localhost:${PORT}`);
+
+  const alertIntervalMs = Number(process.env.STOCK_ALERT_INTERVAL_MS ?? 15000);
+  if (alertIntervalMs > 0) stockAlerts.startDispatcher(alertIntervalMs);
 });
 
-app.get("/api/products/category/:category_id", async (req, res) => {
+app.get("/api/products/category/:category_id", authenticate, withBranch({ allowAll: true }), async (req, res) => {
   const { category_id } = req.params;
   const { data, error } = await supabase
     .from("products")
@@ -381,7 +383,7 @@ app.get("/api/products/category/:category_id", async (req, res) => {
     .order("created_at", { ascending: false });
 
   if (error) return res.status(400).json({ error: error.message });
-  res.json(data);
+  res.json(await branchStock.attach(data, req.branchId));
 });
 
  // make sure this is imported at the top
@@ -395,7 +397,7 @@ app.get("/api/products/category/:category_id", async (req, res) => {
 // ================== REQUISITIONS ENDPOINTS ==================
 
 // POST /api/requisitions - User creates a requisition
-app.post("/api/requisitions", verifyUser, async (req, res) => {
+app.post("/api/requisitions", requirePermission("requisitions:create"), withBranch(), async (req, res) => {
   try {
     const { reason, items } = req.body; // items = [{ product_id, quantity }]
     const requested_by = req.user.user_id;
@@ -403,7 +405,7 @@ app.post("/api/requisitions", verifyUser, async (req, res) => {
     // 1️⃣ Create requisition
     const { data: requisition, error: reqError } = await supabase
       .from("purchase_requisitions")
-      .insert([{ requested_by, reason }])
+      .insert([{ requested_by, reason, branch_id: req.branchId }])
       .select()
       .single();
     if (reqError) throw reqError;
@@ -433,9 +435,9 @@ app.post("/api/requisitions", verifyUser, async (req, res) => {
 
 
 // GET /api/requisitions - Admin views all requisitions
-app.get("/api/requisitions", verifyAdmin, async (req, res) => {
+app.get("/api/requisitions", requirePermission("requisitions:view"), withBranch({ allowAll: true }), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from("purchase_requisitions")
       .select(`
         *,
@@ -443,7 +445,9 @@ app.get("/api/requisitions", verifyAdmin, async (req, res) => {
         items:purchase_requisition_items(*, product:products(name))
       `)
       .order("created_at", { ascending: false });
+    if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
 
+    const { data, error } = await query;
     if (error) throw error;
     res.json(data);
   } catch (err) {
@@ -454,7 +458,7 @@ app.get("/api/requisitions", verifyAdmin, async (req, res) => {
 // ================== APPROVE / REJECT REQUISITION ==================
 
 // PATCH /api/requisitions/:id - Admin approves/rejects requisition
-app.patch("/api/requisitions/:id", verifyAdmin, async (req, res) => {
+app.patch("/api/requisitions/:id", requirePermission("requisitions:approve"), withBranch({ allowAll: true }), async (req, res) => {
   try {
     const { id } = req.params;
     const { action } = req.body;
@@ -469,7 +473,9 @@ app.patch("/api/requisitions/:id", verifyAdmin, async (req, res) => {
       .select("*")
       .eq("id", id)
       .single();
-    if (reqError || !requisition) return res.status(404).json({ message: "Requisition not found" });
+    if (reqError || !requisition || !inBranch(requisition, req.branchId)) {
+      return res.status(404).json({ message: "Requisition not found" });
+    }
 
     if (requisition.status !== "pending") {
       return res.status(400).json({ message: "Requisition already processed." });
@@ -495,7 +501,7 @@ app.patch("/api/requisitions/:id", verifyAdmin, async (req, res) => {
 
 // POST /api/purchases/from-requisition
 // POST /api/purchases/from-requisition
-app.post("/api/purchases/from-requisition", verifyAdmin, async (req, res) => {
+app.post("/api/purchases/from-requisition", requirePermission("purchases:write"), withBranch({ allowAll: true }), async (req, res) => {
   try {
     const { requisition_id, supplier_id, items, notes } = req.body;
     const created_by = req.user.user_id;
@@ -506,13 +512,21 @@ app.post("/api/purchases/from-requisition", verifyAdmin, async (req, res) => {
       .select("*")
       .eq("id", requisition_id)
       .single();
-    if (reqError || !requisition) return res.status(404).json({ message: "Requisition not found" });
+    if (reqError || !requisition || !inBranch(requisition, req.branchId)) {
+      return res.status(404).json({ message: "Requisition not found" });
+    }
     if (requisition.status !== "approved") return res.status(400).json({ message: "Requisition not approved yet" });
 
     // 1️⃣ Create Purchase Order
     const { data: purchase, error: purchaseError } = await supabase
       .from("purchases")
-      .insert([{ supplier_id, notes: notes || `PO from requisition #${requisition_id}`, created_by, status: "pending" }])
+      .insert([{
+        supplier_id,
+        notes: notes || `PO from requisition #${requisition_id}`,
+        created_by,
+        status: "pending",
+        branch_id: requisition.branch_id,
+      }])
       .select()
       .single();
     if (purchaseError) throw purchaseError;
@@ -522,6 +536,7 @@ app.post("/api/purchases/from-requisition", verifyAdmin, async (req, res) => {
       purchase_id: purchase.id,
       product_id: i.product_id,
       quantity: i.quantity,
+      unit: normalizeUnit(i.unit),
       cost: i.cost || 0
     }));
     const { data: itemsData, error: itemsError } = await supabase
@@ -549,15 +564,15 @@ app.post("/api/purchases/from-requisition", verifyAdmin, async (req, res) => {
 
 
 // POST /api/purchases - Create a new purchase order
-app.post("/api/purchases", verifyAdmin, async (req, res) => {
+app.post("/api/purchases", requirePermission("purchases:write"), withBranch(), async (req, res) => {
   try {
-    const { supplier_id, items, notes } = req.body; // items = [{ product_id, quantity, cost }]
+    const { supplier_id, items, notes } = req.body; // items = [{ product_id, quantity, unit?, cost }]
     const created_by = req.user.user_id;
 
     // 1️⃣ Create purchase order
     const { data: purchase, error: purchaseError } = await supabase
       .from("purchases")
-      .insert([{ supplier_id, notes, created_by, status: "pending" }])
+      .insert([{ supplier_id, notes, created_by, status: "pending", branch_id: req.branchId }])
       .select()
       .single();
     if (purchaseError) throw purchaseError;
@@ -567,6 +582,7 @@ app.post("/api/purchases", verifyAdmin, async (req, res) => {
       purchase_id: purchase.id,
       product_id: i.product_id,
       quantity: i.quantity,
+      unit: normalizeUnit(i.unit),
       cost: i.cost
     }));
 
@@ -584,69 +600,71 @@ app.post("/api/purchases", verifyAdmin, async (req, res) => {
 
 // PATCH /api/purchases/:id/receive - Mark purchase as received and update stock
 // PATCH /api/purchases/:id/receive
-app.patch("/api/purchases/:id/receive", async (req, res) => {
+app.patch("/api/purchases/:id/receive", requirePermission("purchases:receive"), withBranch({ allowAll: true }), async (req, res) => {
   try {
     const purchaseId = Number(req.params.id);
-    const { items, received_by } = req.body; // frontend sends items + user id
+    const { items } = req.body;
+    const received_by = req.user.user_id;
 
     if (!items?.length) {
       return res.status(400).json({ message: "No items provided" });
     }
 
-    // 1️⃣ Update purchase status
-    const { data: purchase, error: purchaseError } = await supabase
+    // 1️⃣ Check the purchase belongs to this branch and isn't received yet
+    const { data: existing, error: fetchError } = await supabase
       .from("purchases")
-      .update({ status: "received" })
+      .select("id, branch_id, status")
       .eq("id", purchaseId)
-      .select()
       .single();
+    if (fetchError || !existing || !inBranch(existing, req.branchId)) {
+      return res.status(404).json({ message: "Purchase not found" });
+    }
+    if (existing.status === "received") {
+      return res.status(409).json({ message: "Purchase has already been received" });
+    }
 
-    if (purchaseError) throw purchaseError;
+    // 2️⃣ Convert every line to stock units before anything moves. A line without `unit` uses the
+    // unit it was ordered in, and cost is per that unit.
+    const { data: orderedItems, error: orderedError } = await supabase
+      .from("purchase_items")
+      .select("product_id, unit")
+      .eq("purchase_id", purchaseId);
+    if (orderedError) throw orderedError;
 
-    // 2️⃣ Loop through items and log inventory + update stock
+    const movements = [];
     for (const item of items) {
-      const { product_id, quantity, cost } = item;
-
-      // a) Get current product stock
-      const { data: product, error: productError } = await supabase
-        .from("products")
-        .select("stock, cost")
-        .eq("product_id", product_id)
-        .single();
-
-      if (productError) throw productError;
-
-      const previousStock = product.stock;
-      const newStock = previousStock + quantity;
-      const unitCost = cost ?? product.cost ?? 0;
-      const totalCostImpact = quantity * unitCost;
+      const unit = normalizeUnit(item.unit) ?? orderedItems.find((o) => String(o.product_id) === String(item.product_id))?.unit ?? null;
+      let stockQuantity;
+      try {
+        stockQuantity = await units.toStock(item.product_id, item.quantity, unit);
+      } catch (err) {
+        if (unitError(err)) return res.status(400).json({ message: unitError(err) });
+        throw err;
+      }
+      movements.push({
+        product_id: item.product_id,
+        change: stockQuantity,
+        // Cost per stock unit (a 20 L drum at 1000 is 50 per L); without a cost the product's is used
+        ...(item.cost !== undefined && item.cost !== null && stockQuantity
+          ? { unit_cost: (item.cost * item.quantity) / stockQuantity }
+          : {}),
+        ...(unit ? { metadata: { entered_quantity: item.quantity, entered_unit: unit } } : {}),
+      });
+    }
 
-      // b) Insert inventory log
-      await supabase.from("inventory_logs").insert([
-        {
-          product_id,
-          change: quantity,
-          reason: "PURCHASE_RECEIVED",
-          ref_table: "purchases",
-          ref_id: purchaseId,
-          created_by: received_by,
-          metadata: {
-            previous_stock: previousStock,
-            new_stock: newStock,
-            unit_cost: unitCost,
-            total_cost_impact: totalCostImpact
-          }
-        }
-      ]);
-
-      // c) Update product stock
-      await supabase
-        .from("products")
-        .update({ stock: newStock })
-        .eq("product_id", product_id);
+    // 3️⃣ Mark it received and book the stock + inventory logs in one transaction. Only a purchase
+    // not yet received is claimed, so a retried or concurrent receive can't add stock twice.
+    const { data: received, error: receiveError } = await supabase.rpc("receive_purchase", {
+      p_purchase_id: purchaseId,
+      p_items: movements,
+      p_received_by: received_by,
+    });
+    if (receiveError) throw receiveError;
+    if (!received) {
+      return res.status(409).json({ message: "Purchase has already been received" });
     }
 
-    res.json({ status: "success", message: "Purchase received successfully" });
+    res.json({ status: "success", message: "Purchase received successfully", movements: received });
   } catch (err) {
     console.error("Receive purchase error:", err);
     res.status(500).json({ status: "error", message: err.message });
@@ -655,7 +673,7 @@ app.patch("/api/purchases/:id/receive", async (req, res) => {
 
 
 // GET /api/purchases - List all purchases with supplier and items
-app.get("/api/requisitions/:id", verifyAdmin, async (req, res) => {
+app.get("/api/requisitions/:id", requirePermission("requisitions:view"), withBranch({ allowAll: true }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -671,7 +689,6 @@ app.get("/api/requisitions/:id", verifyAdmin, async (req, res) => {
             product_id, 
             name, 
             cost, 
-            stock, 
             supplier_id,
             supplier:suppliers(name)
           )
@@ -680,19 +697,24 @@ app.get("/api/requisitions/:id", verifyAdmin, async (req, res) => {
       .eq("id", id)
       .single();
 
-    if (error || !data) {
+    if (error || !data || !inBranch(data, req.branchId)) {
       return res.status(404).json({ message: "Requisition not found" });
     }
 
+    // Stock shown is the requesting branch's
+    const products = await branchStock.attach(data.items.map((i) => i.product).filter(Boolean), data.branch_id);
+    const productsById = Object.fromEntries(products.map((p) => [p.product_id, p]));
+    data.items = data.items.map((i) => ({ ...i, product: productsById[i.product_id] ?? i.product }));
+
     res.json(data);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 // GET /api/purchases - List all purchases with supplier and items
-app.get("/api/purchases", verifyAdmin, async (req, res) => {
+app.get("/api/purchases", requirePermission("purchases:view"), withBranch({ allowAll: true }), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from("purchases")
       .select(`
         *,
@@ -701,12 +723,15 @@ app.get("/api/purchases", verifyAdmin, async (req, res) => {
           id,
           product_id,
           quantity,
+          unit,
           cost,
-          product:products(name)
+          product:products(name, unit)
         )
       `)
       .order("created_at", { ascending: false });
+    if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
 
+    const { data, error } = await query;
     if (error) throw error;
 
     res.json(data);
@@ -716,9 +741,9 @@ app.get("/api/purchases", verifyAdmin, async (req, res) => {
 });
 
 // GET /api/my-requisitions - Logged-in user views THEIR OWN requisitions
-app.get("/api/my-requisitions", verifyUser, async (req, res) => {
+app.get("/api/my-requisitions", requireUser, async (req, res) => {
   try {
-    const userId = req.user.user_id; // Extracted from the token by verifyUser middleware
+    const userId = req.user.user_id; // Extracted from the token by requireUser middleware
 
 
     const { data, error } = await supabase
@@ -1,13 +1,18 @@
 // reports.js (backend)
-export function registerReportsRoutes(app, supabase) {
-  // Products report
-  app.get("/api/reports/products", async (req, res) => {
+export function registerReportsRoutes(app, supabase, { requirePermission, withBranch, branchStock, units }) {
+  // Products report (stock for the selected branch, or totals with ?branch_id=all).
+  // ?unit=purchase|recipe|<code> shows stock and reorder level in that unit instead of the stock unit.
+  app.get("/api/reports/products", requirePermission("reports:view"), withBranch({ allowAll: true }), async (req, res) => {
     const { data, error } = await supabase
       .from("products")
       .select("*, categories(name), suppliers(name)")
       .order("created_at", { ascending: false });
     if (error) return res.status(400).json({ error: error.message });
-    res.json(data);
+    try {
+      res.json(await units.displayIn(await branchStock.attach(data, req.branchId), req.query.unit, ["stock", "reorder_level"]));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
   });
 
   // Suppliers report
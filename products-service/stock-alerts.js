@@ -0,0 +1,263 @@
+// stock-alerts.js — low/out-of-stock alerts and their notification channels for products-service
+//
+// Alerts are raised in the database by the branch_stock trigger (see the stock_alerts migration),
+// so stock moved by any service is covered and each alert is only raised once until the product
+// recovers. This module delivers new alerts to the configured channels and serves the in-app list.
+//
+// A channel is { type, name, send(alert) }; send throws on failure. Delivery is tracked per
+// channel in stock_alerts.deliveries, so a failed webhook is retried without re-emailing.
+import crypto from "crypto";
+
+const ALERT_SELECT = "*, products ( name, unit ), branches ( name )";
+
+// "Low stock: Carnauba Wax at Main — 2 L left (reorder level 5)"
+export function describeAlert(alert) {
+  const product = alert.products?.name ?? `Product #${alert.product_id}`;
+  const branch = alert.branches?.name ?? `branch #${alert.branch_id}`;
+  const unit = alert.products?.unit ? ` ${alert.products.unit}` : "";
+  return alert.level === "out"
+    ? `Out of stock: ${product} at ${branch} (reorder level ${alert.reorder_level})`
+    : `Low stock: ${product} at ${branch} — ${alert.stock}${unit} left (reorder level ${alert.reorder_level})`;
+}
+
+// Public payload sent to every channel
+const alertPayload = (alert) => ({
+  id: alert.id,
+  level: alert.level,
+  branch_id: alert.branch_id,
+  branch_name: alert.branches?.name ?? null,
+  product_id: alert.product_id,
+  product_name: alert.products?.name ?? null,
+  unit: alert.products?.unit ?? null,
+  stock: Number(alert.stock),
+  reorder_level: Number(alert.reorder_level),
+  created_at: alert.created_at,
+  message: describeAlert(alert),
+});
+
+// ================== CHANNELS ==================
+
+// The stock_alerts table is the in-app inbox (GET /api/stock-alerts), so there is nothing to send
+export function createInAppChannel() {
+  return { type: "in_app", name: "in_app", send: async () => {} };
+}
+
+// POSTs the alert as JSON; with a secret, X-Signature is the hex HMAC-SHA256 of the body
+export function createWebhookChannel({ url, secret, timeoutMs = 10000 }) {
+  if (!url) throw new Error("STOCK_ALERT_WEBHOOK_URL is required for the webhook channel");
+  return {
+    type: "webhook",
+    name: "webhook",
+    async send(alert) {
+      const body = JSON.stringify({ event: "stock_alert", alert: alertPayload(alert) });
+      const headers = { "Content-Type": "application/json" };
+      if (secret) headers["X-Signature"] = crypto.createHmac("sha256", secret).update(body).digest("hex");
+
+      const response = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      if (!response.ok) throw new Error(`Webhook answered ${response.status}`);
+    },
+  };
+}
+
+export function createEmailChannel({ mailer, to }) {
+  const recipients = (to || "").split(",").map((address) => address.trim()).filter(Boolean);
+  if (recipients.length === 0) throw new Error("STOCK_ALERT_EMAIL_TO is required for the email channel");
+  return {
+    type: "email",
+    name: "email",
+    async send(alert) {
+      const payload = alertPayload(alert);
+      await mailer.send({
+        to: recipients.join(", "),
+        subject: payload.message,
+        text:
+          `${payload.message}\n\n` +
+          `Product: ${payload.product_name} (#${payload.product_id})\n` +
+          `Branch: ${payload.branch_name} (#${payload.branch_id})\n` +
+          `Stock: ${payload.stock}${payload.unit ? ` ${payload.unit}` : ""}\n` +
+          `Reorder level: ${payload.reorder_level}\n\n` +
+          "You won't be alerted again for this product until it's restocked above its reorder level.\n",
+      });
+    },
+  };
+}
+
+// Builds channels from a comma list such as "in_app,webhook,email"
+export function createChannels(names, { webhook = {}, email = {} } = {}) {
+  const factories = {
+    in_app: () => createInAppChannel(),
+    webhook: () => createWebhookChannel(webhook),
+    email: () => createEmailChannel(email),
+  };
+  return [...new Set(String(names || "").split(",").map((name) => name.trim()).filter(Boolean))].map((name) => {
+    if (!factories[name]) throw new Error(`Unknown stock alert channel "${name}"`);
+    return factories[name]();
+  });
+}
+
+// ================== DISPATCH & ROUTES ==================
+
+export function registerStockAlertRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  channels,
+  batchSize = 50,
+  maxAttempts = 5,
+}) {
+  // Sends one alert to every channel it hasn't reached yet; returns the updated deliveries
+  async function deliver(alert) {
+    const deliveries = { ...alert.deliveries };
+    for (const channel of channels) {
+      if (deliveries[channel.name]?.status === "sent") continue;
+      try {
+        await channel.send(alert);
+        deliveries[channel.name] = { status: "sent", at: new Date().toISOString() };
+      } catch (err) {
+        console.error(`Stock alert ${alert.id} via ${channel.name} failed:`, err.message);
+        deliveries[channel.name] = { status: "failed", at: new Date().toISOString(), error: err.message };
+      }
+    }
+    return deliveries;
+  }
+
+  // Delivers alerts not dispatched yet. Alerts that recovered before they went out are closed
+  // without sending; failed channels are retried on later runs up to maxAttempts.
+  async function dispatchPending() {
+    const { data: pending, error } = await supabase
+      .from("stock_alerts")
+      .select(ALERT_SELECT)
+      .is("dispatched_at", null)
+      .order("id", { ascending: true })
+      .limit(batchSize);
+    if (error) throw error;
+
+    let sent = 0;
+    for (const alert of pending) {
+      const attempts = alert.attempts + 1;
+      const deliveries = alert.resolved_at ? { ...alert.deliveries, skipped: "recovered before delivery" } : await deliver(alert);
+      const done = Boolean(alert.resolved_at) ||
+        channels.every((channel) => deliveries[channel.name]?.status === "sent") ||
+        attempts >= maxAttempts;
+
+      const { error: updateError } = await supabase
+        .from("stock_alerts")
+        .update({ deliveries, attempts, ...(done ? { dispatched_at: new Date().toISOString() } : {}) })
+        .eq("id", alert.id);
+      if (updateError) throw updateError;
+      if (!alert.resolved_at) sent += 1;
+    }
+    return { processed: pending.length, sent };
+  }
+
+  function startDispatcher(intervalMs) {
+    let running = false;
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await dispatchPending();
+      } catch (err) {
+        console.error("Stock alert dispatch failed:", err.message);
+      } finally {
+        running = false;
+      }
+    };
+    tick();
+    return setInterval(tick, intervalMs);
+  }
+
+  // GET /api/stock-alerts?status=open|resolved|all&level=low|out&unacknowledged=true
+  app.get("/api/stock-alerts", requirePermission("stock:view"), withBranch({ allowAll: true }), async (req, res) => {
+    try {
+      const { status = "open", level } = req.query;
+      let query = supabase
+        .from("stock_alerts")
+        .select(ALERT_SELECT)
+        .order("created_at", { ascending: false })
+        .limit(Math.min(Number(req.query.limit) || 100, 500));
+      if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
+      if (status === "open") query = query.is("resolved_at", null);
+      if (status === "resolved") query = query.not("resolved_at", "is", null);
+      if (level) query = query.eq("level", level);
+      if (req.query.unacknowledged === "true") query = query.is("acknowledged_at", null);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      res.json({
+        count: data.length,
+        alerts: data.map((alert) => ({
+          ...alertPayload(alert),
+          resolved_at: alert.resolved_at,
+          resolved_stock: alert.resolved_stock,
+          acknowledged_at: alert.acknowledged_at,
+          acknowledged_by: alert.acknowledged_by,
+          deliveries: alert.deliveries,
+        })),
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST acknowledge (hides it from ?unacknowledged=true; it stays open until restocked)
+  app.post("/api/stock-alerts/:id/acknowledge", requirePermission("stock:view"), withBranch({ allowAll: true }), async (req, res) => {
+    try {
+      let query = supabase
+        .from("stock_alerts")
+        .update({ acknowledged_at: new Date().toISOString(), acknowledged_by: req.user.user_id })
+        .eq("id", req.params.id);
+      if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
+
+      const { data, error } = await query.select("id, acknowledged_at").maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(404).json({ error: "Alert not found" });
+      res.json({ message: "Alert acknowledged", ...data });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get("/api/stock-alerts/channels", requirePermission("stock:view"), (req, res) => {
+    res.json(channels.map(({ type, name }) => ({ type, name })));
+  });
+
+  // POST send a sample alert through every channel (or ?channel=) without storing anything
+  app.post("/api/stock-alerts/test", requirePermission("products:write"), async (req, res) => {
+    const selected = req.query.channel ? channels.filter((c) => c.name === req.query.channel) : channels;
+    if (selected.length === 0) return res.status(404).json({ error: "No such channel configured" });
+
+    const sample = {
+      id: 0,
+      level: "low",
+      branch_id: 0,
+      branches: { name: "Test branch" },
+      product_id: 0,
+      products: { name: "Test product", unit: "pcs" },
+      stock: 2,
+      reorder_level: 5,
+      created_at: new Date().toISOString(),
+    };
+    const results = {};
+    for (const channel of selected) {
+      try {
+        await channel.send(sample);
+        results[channel.name] = { status: "sent" };
+      } catch (err) {
+        results[channel.name] = { status: "failed", error: err.message };
+      }
+    }
+    res.json({ message: "Test alert sent", results });
+  });
+
+  // POST deliver pending alerts now instead of waiting for the next interval
+  app.post("/api/stock-alerts/dispatch", requirePermission("products:write"), async (req, res) => {
+    try {
+      res.json(await dispatchPending());
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return { dispatchPending, startDispatcher };
+}
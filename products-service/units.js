@@ -0,0 +1,170 @@
+// units.js — units of measure and per-product conversions for products-service
+//
+// Stock is kept in each product's `unit`. Quantities entered in another unit (a purchase in
+// drums, a manual count in ml) are converted with the database's to_stock_quantity, and
+// reports can show stock in a chosen unit via the product_unit_factors view. See the
+// units_of_measure migration for how factors are resolved.
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+export const normalizeUnit = (unit) => {
+  const code = String(unit ?? "").trim().toLowerCase();
+  return code || null;
+};
+
+// UNIT_CONVERSION errors from the database as a 400-able message, or null for other errors
+export const unitError = (error) => (error?.message === "UNIT_CONVERSION" ? error.details || "Unknown unit" : null);
+
+export function registerUnitRoutes(app, { supabase, requirePermission }) {
+  // Quantity in the product's stock unit; throws UNIT_CONVERSION (see unitError) when unknown
+  async function toStock(productId, quantity, unit) {
+    if (!normalizeUnit(unit)) return Number(quantity);
+    const { data, error } = await supabase.rpc("to_stock_quantity", {
+      p_product_id: productId,
+      p_quantity: quantity,
+      p_unit: normalizeUnit(unit),
+    });
+    if (error) throw error;
+    return Number(data);
+  }
+
+  // { product_id: { unit, purchase_unit, recipe_unit, factors: { unit: factor } } }
+  async function loadConversions(productIds) {
+    const ids = [...new Set(productIds)];
+    if (ids.length === 0) return {};
+
+    const [{ data: products, error }, { data: factors, error: factorError }] = await Promise.all([
+      supabase.from("products").select("product_id, unit, purchase_unit, recipe_unit").in("product_id", ids),
+      supabase.from("product_unit_factors").select("product_id, unit, factor").in("product_id", ids),
+    ]);
+    if (error) throw error;
+    if (factorError) throw factorError;
+
+    const conversions = Object.fromEntries(products.map((p) => [p.product_id, { ...p, factors: {} }]));
+    for (const row of factors) {
+      if (conversions[row.product_id]) conversions[row.product_id].factors[row.unit] = Number(row.factor);
+    }
+    return conversions;
+  }
+
+  // Re-expresses stock-unit fields of rows in `target`: "stock" (default), "purchase", "recipe"
+  // (each product's own preferred unit) or a unit code. Rows whose product can't convert keep
+  // stock units; every row gets `display_unit` saying which unit its numbers are in.
+  async function displayIn(rows, target, fields) {
+    if (!target || target === "stock") {
+      return rows.map((row) => ({ ...row, display_unit: row.unit ?? row.product?.unit ?? null }));
+    }
+
+    const conversions = await loadConversions(rows.map((row) => row.product_id));
+    return rows.map((row) => {
+      const conversion = conversions[row.product_id];
+      const wanted = target === "purchase" ? conversion?.purchase_unit
+        : target === "recipe" ? conversion?.recipe_unit
+        : normalizeUnit(target);
+      const factor = wanted ? conversion?.factors[normalizeUnit(wanted)] : undefined;
+      if (!factor) return { ...row, display_unit: conversion?.unit ?? null };
+
+      const converted = { ...row, display_unit: normalizeUnit(wanted) };
+      for (const field of fields) {
+        if (row[field] !== null && row[field] !== undefined) converted[field] = round4(Number(row[field]) / factor);
+      }
+      return converted;
+    });
+  }
+
+  // ================== UNITS ==================
+
+  app.get("/api/units", async (req, res) => {
+    const { data, error } = await supabase.from("units").select("*").order("dimension").order("to_base");
+    if (error) return res.status(500).json({ error: error.message });
+    res.json(data);
+  });
+
+  // POST { code, name, dimension: volume|mass|count|length, to_base } (to_base in ml, g, pcs or cm)
+  app.post("/api/units", requirePermission("products:write"), async (req, res) => {
+    const code = normalizeUnit(req.body.code);
+    const { name, dimension, to_base } = req.body;
+    if (!code || !name || !dimension || !(Number(to_base) > 0)) {
+      return res.status(400).json({ error: "code, name, dimension and a positive to_base are required" });
+    }
+
+    const { data, error } = await supabase.from("units").insert([{ code, name, dimension, to_base }]).select().single();
+    if (error?.code === "23505") return res.status(409).json({ error: `Unit "${code}" already exists` });
+    if (error) return res.status(400).json({ error: error.message });
+    res.status(201).json(data);
+  });
+
+  app.delete("/api/units/:code", requirePermission("products:write"), async (req, res) => {
+    const { error } = await supabase.from("units").delete().eq("code", normalizeUnit(req.params.code));
+    if (error) return res.status(400).json({ error: error.message });
+    res.json({ message: "Unit deleted" });
+  });
+
+  // ================== PRODUCT CONVERSIONS ==================
+
+  // GET every unit the product can be entered in, with stock units per unit
+  app.get("/api/products/:product_id/units", async (req, res) => {
+    try {
+      const conversions = await loadConversions([Number(req.params.product_id)]);
+      const conversion = conversions[req.params.product_id];
+      if (!conversion) return res.status(404).json({ error: "Product not found" });
+
+      const { data: custom, error } = await supabase
+        .from("product_units")
+        .select("unit, factor")
+        .eq("product_id", req.params.product_id);
+      if (error) throw error;
+
+      res.json({
+        product_id: conversion.product_id,
+        stock_unit: conversion.unit,
+        purchase_unit: conversion.purchase_unit,
+        recipe_unit: conversion.recipe_unit,
+        product_units: custom,
+        factors: conversion.factors,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // PUT { units: [{ unit: "drum", factor: 20 }] } — replaces the product's own conversions.
+  // Recipes entered in these units are re-derived by the database.
+  app.put("/api/products/:product_id/units", requirePermission("products:write"), async (req, res) => {
+    try {
+      const { product_id } = req.params;
+      const { units = [] } = req.body;
+      const rows = units.map((u) => ({ product_id: Number(product_id), unit: normalizeUnit(u.unit), factor: Number(u.factor) }));
+      if (rows.some((row) => !row.unit || !(row.factor > 0))) {
+        return res.status(400).json({ error: "Every unit needs a name and a positive factor" });
+      }
+
+      const { data: existing, error: existingError } = await supabase
+        .from("product_units")
+        .select("unit")
+        .eq("product_id", product_id);
+      if (existingError) throw existingError;
+
+      if (rows.length > 0) {
+        const { error } = await supabase.from("product_units").upsert(rows, { onConflict: "product_id,unit" });
+        if (error) return res.status(unitError(error) ? 400 : 500).json({ error: unitError(error) ?? error.message });
+      }
+      const removed = existing.map((row) => row.unit).filter((unit) => !rows.some((row) => row.unit === unit));
+      if (removed.length > 0) {
+        const { error } = await supabase.from("product_units").delete().eq("product_id", product_id).in("unit", removed);
+        if (unitError(error)) {
+          return res.status(409).json({ error: `A recipe still uses one of these units: ${unitError(error)}` });
+        }
+        if (error) throw error;
+      }
+
+      const { data, error } = await supabase.from("product_units").select("unit, factor").eq("product_id", product_id);
+      if (error) throw error;
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return { toStock, loadConversions, displayIn };
+}
@@ -0,0 +1,531 @@
+// appointments.js — wash bays, service durations and appointment booking for services-service
+//
+// A booking holds one bay for the service's duration (per variant; packages take the sum of
+// their services). Opening hours are wall-clock times in the shop's time zone. Double booking is
+// prevented by the appointments_no_double_booking exclusion constraint, so two requests racing
+// for the same bay can't both win; services that are out of stock right now can't be booked.
+import crypto from "crypto";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MINUTE = 60 * 1000;
+
+// Wall-clock date ("YYYY-MM-DD"), time ("HH:MM:SS") and weekday of an instant in timeZone
+export function wallClock(at, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(at)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+    day: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// The instant at which the wall clock in timeZone shows `date` `time`
+export function zonedInstant(date, time, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [h, mi, s = 0] = time.split(":").map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, h, mi, s);
+
+  // Offset of timeZone from UTC at instant t: what its wall clock reads, taken as UTC, minus t
+  const offsetAt = (t) => {
+    const wall = wallClock(new Date(t), timeZone);
+    const [wy, wm, wd] = wall.date.split("-").map(Number);
+    const [wh, wmi, ws] = wall.time.split(":").map(Number);
+    return Date.UTC(wy, wm - 1, wd, wh, wmi, ws) - (t - (t % 1000));
+  };
+
+  // Second pass corrects the offset on DST change days
+  const first = asUtc - offsetAt(asUtc);
+  return new Date(asUtc - offsetAt(first));
+}
+
+// Free start times for one day. Each slot lists the bays that could take it.
+export function freeSlots({ bays, bookings, date, durationMinutes, stepMinutes, timeZone, now = new Date() }) {
+  const slots = new Map();
+  for (const bay of bays) {
+    if (!bay.hours) continue;
+    const opens = zonedInstant(date, bay.hours.opens_at, timeZone).getTime();
+    const closes = zonedInstant(date, bay.hours.closes_at, timeZone).getTime();
+    const taken = bookings.filter((b) => String(b.bay_id) === String(bay.id));
+
+    for (let start = opens; start + durationMinutes * MINUTE <= closes; start += stepMinutes * MINUTE) {
+      const end = start + durationMinutes * MINUTE;
+      if (start < now.getTime()) continue;
+      if (taken.some((b) => new Date(b.starts_at).getTime() < end && new Date(b.ends_at).getTime() > start)) continue;
+
+      const slot = slots.get(start) ?? { starts_at: new Date(start).toISOString(), ends_at: new Date(end).toISOString(), bay_ids: [] };
+      slot.bay_ids.push(bay.id);
+      slots.set(start, slot);
+    }
+  }
+  return [...slots.entries()].sort(([a], [b]) => a - b).map(([, slot]) => slot);
+}
+
+export function registerAppointmentRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  availability,
+  resolvePublicBranch,
+  resolveVehicle,
+  timeZone = "UTC",
+  stepMinutes = 30,
+  defaultDurationMinutes = 30,
+}) {
+  // The service or package, shaped like a service with its recipe (see availability.js)
+  async function loadItem({ serviceId, packageId }) {
+    const [item] = packageId
+      ? await availability.loadPackages({ packageIds: [packageId] })
+      : await availability.loadServices({ serviceIds: [serviceId] });
+    return item ?? null;
+  }
+
+  // Minutes for one variant; a package takes the sum of its services
+  async function durationFor(item, variantId) {
+    const serviceIds = item.is_package ? item.services.map((s) => s.service_id) : [item.service_id];
+    if (serviceIds.length === 0) return defaultDurationMinutes;
+
+    const { data, error } = await supabase
+      .from("service_durations")
+      .select("service_id, duration_minutes")
+      .eq("variant_id", variantId)
+      .in("service_id", serviceIds);
+    if (error) throw error;
+
+    const minutes = Object.fromEntries(data.map((row) => [row.service_id, row.duration_minutes]));
+    return serviceIds.reduce((sum, id) => sum + (minutes[id] ?? defaultDurationMinutes), 0);
+  }
+
+  // Active bays of a branch with their opening hours for one weekday (hours null = closed)
+  async function loadBays(branchId, day) {
+    const { data, error } = await supabase
+      .from("wash_bays")
+      .select("id, name, bay_opening_hours ( day_of_week, opens_at, closes_at )")
+      .eq("branch_id", branchId)
+      .eq("active", true)
+      .order("id", { ascending: true });
+    if (error) throw error;
+
+    return data.map(({ bay_opening_hours, ...bay }) => ({
+      ...bay,
+      hours: bay_opening_hours.find((h) => h.day_of_week === day) ?? null,
+    }));
+  }
+
+  async function loadBookings(bayIds, from, to, excludeId = null) {
+    if (bayIds.length === 0) return [];
+    let query = supabase
+      .from("appointments")
+      .select("id, bay_id, starts_at, ends_at")
+      .eq("status", "booked")
+      .in("bay_id", bayIds)
+      .lt("starts_at", to.toISOString())
+      .gt("ends_at", from.toISOString());
+    if (excludeId) query = query.neq("id", excludeId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  // Stock check for the variant right now: { available, shortages }
+  async function stockCheck(item, branchId, variantId) {
+    const [result] = await availability.forServices([item], branchId);
+    const variant = result.variants.find((v) => String(v.variant_id) === String(variantId));
+    return {
+      available: result.active !== false && Boolean(variant?.available),
+      reason: result.active === false ? "inactive" : "out_of_stock",
+      shortages: variant?.shortages ?? [],
+    };
+  }
+
+  // Everything a booking at `startsAt` needs, or { status, body } explaining why it can't be made.
+  // Returns the bays that are open and free for the whole duration (just bayId if one was asked for).
+  async function prepareBooking({ item, branchId, variantId, startsAt, bayId, excludeId }) {
+    const stock = await stockCheck(item, branchId, variantId);
+    if (!stock.available) {
+      return {
+        status: 409,
+        body: { message: "This service can't be booked right now", reason: stock.reason, shortages: stock.shortages },
+      };
+    }
+
+    const durationMinutes = await durationFor(item, variantId);
+    const start = new Date(startsAt);
+    const end = new Date(start.getTime() + durationMinutes * MINUTE);
+    if (start < new Date()) return { status: 400, body: { message: "starts_at must be in the future" } };
+
+    const { date, day } = wallClock(start, timeZone);
+    const open = (await loadBays(branchId, day)).filter((bay) => {
+      if (!bay.hours) return false;
+      if (bayId && String(bay.id) !== String(bayId)) return false;
+      return zonedInstant(date, bay.hours.opens_at, timeZone) <= start && end <= zonedInstant(date, bay.hours.closes_at, timeZone);
+    });
+    if (open.length === 0) return { status: 400, body: { message: "No bay is open for the whole appointment" } };
+
+    const bookings = await loadBookings(open.map((b) => b.id), start, end, excludeId);
+    const free = open.filter((bay) => !bookings.some((b) => String(b.bay_id) === String(bay.id)));
+    if (free.length === 0) return { status: 409, body: { message: "That time is already booked" } };
+
+    return { start, end, durationMinutes, bays: free };
+  }
+
+  // Tries each free bay in turn; the exclusion constraint (23P01) means someone just took it
+  async function claimBay(bays, write) {
+    for (const bay of bays) {
+      const { data, error } = await write(bay.id);
+      if (error?.code === "23P01") continue;
+      if (error) throw error;
+      return data;
+    }
+    return null;
+  }
+
+  // Vehicle (by id or plate) and the variant to book: variant_id if given, else the vehicle's size
+  async function resolveTarget(body) {
+    const vehicle = await resolveVehicle({ vehicleId: body.vehicle_id, plateNumber: body.plate_number });
+    if (body.vehicle_id && !vehicle) return { error: { status: 404, body: { message: "Vehicle not found" } } };
+
+    const variantId = body.variant_id ?? vehicle?.variant_id;
+    if (!variantId) return { error: { status: 400, body: { message: "variant_id is required" } } };
+    return { vehicle, variantId };
+  }
+
+  // Cancel/reschedule: customers pass the booking_code they got when booking, staff need the permission
+  const bookingAccess = (req, res, next) =>
+    req.body?.booking_code ? next() : requirePermission("appointments:manage")(req, res, next);
+
+  async function loadAppointment(req) {
+    const { data, error } = await supabase.from("appointments").select("*").eq("id", req.params.id).maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+    if (!req.user && data.booking_code !== String(req.body.booking_code).trim().toUpperCase()) return null;
+    return data;
+  }
+
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value ?? "");
+
+  // ================== AVAILABILITY & BOOKING (public) ==================
+
+  // GET /api/appointments/availability?service_id=|package_id=&variant_id=&date=YYYY-MM-DD&branch_id=
+  app.get("/api/appointments/availability", async (req, res) => {
+    try {
+      const { service_id, package_id, variant_id, date } = req.query;
+      if (!variant_id) return res.status(400).json({ message: "variant_id is required" });
+      if (!isDate(date)) return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+
+      const item = await loadItem({ serviceId: service_id, packageId: package_id });
+      if (!item) return res.status(404).json({ message: package_id ? "Package not found" : "Service not found" });
+
+      const branchId = await resolvePublicBranch(req);
+      const durationMinutes = await durationFor(item, variant_id);
+      const base = { branch_id: branchId, date, variant_id: Number(variant_id), duration_minutes: durationMinutes };
+
+      const stock = await stockCheck(item, branchId, variant_id);
+      if (!stock.available) return res.json({ ...base, available: false, reason: stock.reason, shortages: stock.shortages, slots: [] });
+
+      const day = wallClock(zonedInstant(date, "12:00", timeZone), timeZone).day;
+      const bays = await loadBays(branchId, day);
+      const bookings = await loadBookings(
+        bays.map((b) => b.id),
+        zonedInstant(date, "00:00", timeZone),
+        new Date(zonedInstant(date, "23:59:59", timeZone).getTime() + 1000)
+      );
+
+      const slots = freeSlots({ bays, bookings, date, durationMinutes, stepMinutes, timeZone });
+      res.json({ ...base, available: slots.length > 0, reason: slots.length > 0 ? null : "fully_booked", slots });
+    } catch (err) {
+      console.error("Appointment availability error:", err.message);
+      res.status(500).json({ message: "Error checking appointment availability" });
+    }
+  });
+
+  // POST book: { service_id | package_id, variant_id | vehicle_id | plate_number, starts_at, bay_id?,
+  // customer_name, customer_phone, notes, branch_id? }. Returns the booking_code needed to cancel.
+  app.post("/api/appointments", async (req, res) => {
+    try {
+      const { service_id, package_id, starts_at, bay_id, customer_name, customer_phone, plate_number, notes } = req.body;
+      if (!starts_at || Number.isNaN(new Date(starts_at).getTime())) {
+        return res.status(400).json({ message: "starts_at must be a date and time" });
+      }
+
+      const { vehicle, variantId, error } = await resolveTarget(req.body);
+      if (error) return res.status(error.status).json(error.body);
+      if (!vehicle && !customer_name && !customer_phone) {
+        return res.status(400).json({ message: "customer_name or customer_phone is required" });
+      }
+
+      const item = await loadItem({ serviceId: service_id, packageId: package_id });
+      if (!item) return res.status(404).json({ message: package_id ? "Package not found" : "Service not found" });
+
+      const branchId = await resolvePublicBranch(req);
+      const booking = await prepareBooking({ item, branchId, variantId, startsAt: starts_at, bayId: bay_id });
+      if (booking.status) return res.status(booking.status).json(booking.body);
+
+      const appointment = await claimBay(booking.bays, (bayId) =>
+        supabase
+          .from("appointments")
+          .insert([{
+            booking_code: crypto.randomBytes(5).toString("hex").toUpperCase(),
+            branch_id: branchId,
+            bay_id: bayId,
+            service_id: item.is_package ? null : item.service_id,
+            package_id: item.is_package ? item.package_id : null,
+            variant_id: variantId,
+            vehicle_id: vehicle?.id ?? null,
+            customer_id: vehicle?.customer_id ?? null,
+            customer_name: customer_name ?? null,
+            customer_phone: customer_phone ?? null,
+            plate_number: plate_number ?? null,
+            notes: notes ?? null,
+            starts_at: booking.start.toISOString(),
+            ends_at: booking.end.toISOString(),
+          }])
+          .select()
+          .single()
+      );
+      if (!appointment) return res.status(409).json({ message: "That time is already booked" });
+
+      res.status(201).json({ message: "Appointment booked", appointment });
+    } catch (err) {
+      console.error("Book appointment error:", err);
+      res.status(500).json({ message: "Error booking appointment" });
+    }
+  });
+
+  // GET a booking by its code (what the customer has)
+  app.get("/api/appointments/by-code/:code", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("appointments")
+        .select("*, services(service_name), service_packages(package_name), variants(name), wash_bays(name)")
+        .eq("booking_code", req.params.code.trim().toUpperCase())
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(404).json({ message: "Appointment not found" });
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST cancel: { booking_code?, reason? }
+  app.post("/api/appointments/:id/cancel", bookingAccess, async (req, res) => {
+    try {
+      const appointment = await loadAppointment(req);
+      if (!appointment) return res.status(404).json({ message: "Appointment not found" });
+      if (appointment.status !== "booked") return res.status(409).json({ message: `Appointment is already ${appointment.status}` });
+
+      const { data, error } = await supabase
+        .from("appointments")
+        .update({
+          status: "cancelled",
+          cancel_reason: req.body.reason ?? null,
+          cancelled_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", appointment.id)
+        .eq("status", "booked")
+        .select()
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(409).json({ message: "Appointment is no longer booked" });
+
+      res.json({ message: "Appointment cancelled", appointment: data });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST reschedule: { booking_code?, starts_at, bay_id? } — same service, variant and branch
+  app.post("/api/appointments/:id/reschedule", bookingAccess, async (req, res) => {
+    try {
+      const { starts_at, bay_id } = req.body;
+      if (!starts_at || Number.isNaN(new Date(starts_at).getTime())) {
+        return res.status(400).json({ message: "starts_at must be a date and time" });
+      }
+
+      const appointment = await loadAppointment(req);
+      if (!appointment) return res.status(404).json({ message: "Appointment not found" });
+      if (appointment.status !== "booked") return res.status(409).json({ message: `Appointment is already ${appointment.status}` });
+
+      const item = await loadItem({ serviceId: appointment.service_id, packageId: appointment.package_id });
+      if (!item) return res.status(404).json({ message: "Service not found" });
+
+      const booking = await prepareBooking({
+        item,
+        branchId: appointment.branch_id,
+        variantId: appointment.variant_id,
+        startsAt: starts_at,
+        bayId: bay_id,
+        excludeId: appointment.id,
+      });
+      if (booking.status) return res.status(booking.status).json(booking.body);
+
+      const updated = await claimBay(booking.bays, (bayId) =>
+        supabase
+          .from("appointments")
+          .update({
+            bay_id: bayId,
+            starts_at: booking.start.toISOString(),
+            ends_at: booking.end.toISOString(),
+            updated_at: new Date().toISOString(),
+          })
+          .eq("id", appointment.id)
+          .eq("status", "booked")
+          .select()
+          .maybeSingle()
+      );
+      if (!updated) return res.status(409).json({ message: "That time is already booked" });
+
+      res.json({ message: "Appointment rescheduled", appointment: updated });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // ================== STAFF ==================
+
+  // GET appointments (?date=YYYY-MM-DD&status=)
+  app.get("/api/appointments", requirePermission("appointments:manage"), withBranch({ allowAll: true }), async (req, res) => {
+    try {
+      const { date, status } = req.query;
+      let query = supabase
+        .from("appointments")
+        .select("*, services(service_name), service_packages(package_name), variants(name), wash_bays(name)")
+        .order("starts_at", { ascending: true })
+        .limit(500);
+      if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
+      if (status) query = query.eq("status", status);
+      if (date) {
+        if (!isDate(date)) return res.status(400).json({ message: "date must be YYYY-MM-DD" });
+        query = query
+          .gte("starts_at", zonedInstant(date, "00:00", timeZone).toISOString())
+          .lte("starts_at", zonedInstant(date, "23:59:59", timeZone).toISOString());
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // ================== BAYS ==================
+
+  // GET bays with opening hours (?branch_id=)
+  app.get("/api/bays", async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("wash_bays")
+        .select("*, bay_opening_hours ( day_of_week, opens_at, closes_at )")
+        .eq("branch_id", await resolvePublicBranch(req))
+        .order("id", { ascending: true });
+      if (error) throw error;
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Replaces a bay's weekly hours: [{ day_of_week, opens_at, closes_at }]
+  async function setBayHours(bayId, hours) {
+    const { error: deleteError } = await supabase.from("bay_opening_hours").delete().eq("bay_id", bayId);
+    if (deleteError) throw deleteError;
+    if (hours.length === 0) return null;
+
+    const { error } = await supabase
+      .from("bay_opening_hours")
+      .insert(hours.map(({ day_of_week, opens_at, closes_at }) => ({ bay_id: bayId, day_of_week, opens_at, closes_at })));
+    return error;
+  }
+
+  // POST bay: { branch_id, name, hours? }
+  app.post("/api/bays", requirePermission("services:write"), async (req, res) => {
+    try {
+      const { branch_id, name, hours = [] } = req.body;
+      if (!branch_id || !name) return res.status(400).json({ error: "branch_id and name are required" });
+
+      const { data, error } = await supabase.from("wash_bays").insert([{ branch_id, name }]).select().single();
+      if (error) return res.status(400).json({ error: error.message });
+
+      const hoursError = await setBayHours(data.id, hours);
+      if (hoursError) return res.status(400).json({ error: hoursError.message, bay: data });
+      res.status(201).json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.put("/api/bays/:id", requirePermission("services:write"), async (req, res) => {
+    try {
+      const { name, active } = req.body;
+      const { data, error } = await supabase
+        .from("wash_bays")
+        .update({ name, active })
+        .eq("id", req.params.id)
+        .select()
+        .maybeSingle();
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Bay not found" });
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.put("/api/bays/:id/hours", requirePermission("services:write"), async (req, res) => {
+    try {
+      const { hours } = req.body;
+      if (!Array.isArray(hours)) return res.status(400).json({ error: "hours must be an array" });
+
+      const hoursError = await setBayHours(req.params.id, hours);
+      if (hoursError) return res.status(400).json({ error: hoursError.message });
+      res.json({ message: "Opening hours updated" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ================== DURATIONS ==================
+
+  app.get("/api/services/:id/durations", async (req, res) => {
+    const { data, error } = await supabase
+      .from("service_durations")
+      .select("variant_id, duration_minutes, variants(name)")
+      .eq("service_id", req.params.id)
+      .order("variant_id", { ascending: true });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ default_duration_minutes: defaultDurationMinutes, durations: data });
+  });
+
+  // PUT durations: { durations: [{ variant_id, duration_minutes }] } (upserted per variant)
+  app.put("/api/services/:id/durations", requirePermission("services:write"), async (req, res) => {
+    const { durations } = req.body;
+    if (!Array.isArray(durations)) return res.status(400).json({ error: "durations must be an array" });
+
+    const { data, error } = await supabase
+      .from("service_durations")
+      .upsert(
+        durations.map(({ variant_id, duration_minutes }) => ({ service_id: req.params.id, variant_id, duration_minutes })),
+        { onConflict: "service_id,variant_id" }
+      )
+      .select();
+    if (error) return res.status(400).json({ error: error.message });
+    res.json(data);
+  });
+}
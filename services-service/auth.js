@@ -0,0 +1,169 @@
+// auth.js — shared JWT + permission middleware.
+// Every service deploys from its own directory, so this file is copied verbatim into
+// users-service, products-service, services-service and inventory-logs. Keep the copies identical.
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+// ================== PERMISSION CATALOG ==================
+// Role → permission mappings live in the `role_permissions` table; "*" grants everything.
+export const PERMISSIONS = {
+  "users:manage": "Create, update and delete staff accounts",
+  "roles:manage": "Manage roles and their permissions",
+  "api-keys:manage": "Issue and revoke API keys for integrations",
+  "products:write": "Create, update and delete products and product categories",
+  "products:archive": "Archive products",
+  "suppliers:write": "Create, update and delete suppliers",
+  "stock:view": "View low-stock products and purchase suggestions",
+  "requisitions:create": "Submit purchase requisitions",
+  "requisitions:view": "View all purchase requisitions",
+  "requisitions:approve": "Approve or reject purchase requisitions",
+  "purchases:view": "View purchase orders",
+  "purchases:write": "Create purchase orders",
+  "purchases:receive": "Receive purchase orders into stock",
+  "services:write": "Manage services, service categories, variants and recipes",
+  "services:apply": "Apply services and deduct their products from stock",
+  "services:void": "Void applied services and restock their products (supervisors)",
+  "pos:ingest": "Push POS orders so their services are deducted from stock",
+  "promotions:manage": "Create and edit promotions and discount codes",
+  "customers:manage": "Register and edit customers and their vehicles",
+  "appointments:manage": "View, cancel and reschedule any appointment",
+  "inventory:adjust": "Record manual inventory adjustments",
+  "audit:write": "Write entries to the audit log",
+  "reports:view": "View reports and forecasts",
+  "attendance:manage": "View and correct staff shifts and attendance reports",
+  "branches:manage": "Create and edit branches and assign staff to them",
+  "branches:all": "View and act on any branch, including cross-branch totals",
+};
+
+// API keys look like "ck_<prefix>_<secret>"; the prefix is stored in clear for lookup,
+// the whole key only as a SHA-256 hash.
+export const hashApiKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+export function createAuth(supabase, jwtSecret = process.env.JWT_SECRET || "supersecret") {
+  // Tokens are only honored while their session is live and the user still exists and is active
+  async function isSessionValid(decoded) {
+    if (!decoded?.sid) return false;
+
+    const { data, error } = await supabase
+      .from("auth_sessions")
+      .select("revoked_at, expires_at, user:users(active)")
+      .eq("id", decoded.sid)
+      .eq("user_id", decoded.user_id)
+      .maybeSingle();
+    if (error || !data) return false;
+
+    return !data.revoked_at && new Date(data.expires_at) > new Date() && data.user?.active === true;
+  }
+
+  // Resolves an API key to a machine principal, or null if unknown/expired/revoked
+  async function resolveApiKey(key) {
+    const prefix = key.split("_")[1];
+    if (!key.startsWith("ck_") || !prefix) return null;
+
+    const { data, error } = await supabase
+      .from("api_keys")
+      .select("id, name, key_hash, permissions, branch_id, expires_at, revoked_at")
+      .eq("key_prefix", prefix)
+      .maybeSingle();
+    if (error || !data || data.revoked_at) return null;
+    if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+
+    const presented = Buffer.from(hashApiKey(key), "hex");
+    const stored = Buffer.from(data.key_hash, "hex");
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) return null;
+
+    // Best effort; a failed timestamp update must not block the request
+    supabase
+      .from("api_keys")
+      .update({ last_used_at: new Date().toISOString() })
+      .eq("id", data.id)
+      .then(({ error: touchError }) => {
+        if (touchError) console.error("API key last_used_at update failed:", touchError.message);
+      });
+
+    return {
+      user_id: null,
+      api_key_id: data.id,
+      role: "api_key",
+      name: data.name,
+      permissions: data.permissions || [],
+      branch_id: data.branch_id,
+    };
+  }
+
+  function hasPermission(user, permission) {
+    const granted = user?.permissions || [];
+    return granted.includes("*") || granted.includes(permission);
+  }
+
+  // Verifies the bearer token (or API key) and sets req.user
+  const authenticate = async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      const [scheme, credential] = (authHeader || "").split(" ");
+      const apiKey = req.headers["x-api-key"] || (scheme === "ApiKey" ? credential : null);
+
+      if (apiKey) {
+        req.user = await resolveApiKey(apiKey);
+        if (!req.user) return res.status(401).json({ message: "Invalid API key" });
+      } else {
+        if (!authHeader) return res.status(401).json({ message: "No token provided" });
+
+        const decoded = jwt.verify(credential, jwtSecret);
+
+        if (!(await isSessionValid(decoded))) {
+          return res.status(401).json({ message: "Token has been revoked" });
+        }
+
+        req.user = decoded;
+      }
+    } catch (err) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+    return next();
+  };
+
+  // requirePermission("products:write") — user must hold every listed permission
+  const requirePermission = (...required) => (req, res, next) =>
+    authenticate(req, res, () => {
+      const missing = required.filter((p) => !hasPermission(req.user, p));
+      if (missing.length > 0) {
+        return res.status(403).json({ message: `Access denied. Missing permission: ${missing.join(", ")}` });
+      }
+      return next();
+    });
+
+  // Like authenticate, but only for staff logins (API keys have no user record)
+  const requireUser = (req, res, next) =>
+    authenticate(req, res, () => {
+      if (!req.user.user_id) return res.status(403).json({ message: "Access denied. Staff login required." });
+      return next();
+    });
+
+  // Sets req.branchId. Staff work in the active branch carried in their token; holders of
+  // "branches:all" may target another with ?branch_id= (or body.branch_id), and with
+  // allowAll also "all", which leaves req.branchId null for cross-branch queries.
+  const withBranch = ({ allowAll = false } = {}) => (req, res, next) => {
+    const requested = req.query.branch_id ?? req.body?.branch_id;
+    let branchId = req.user?.branch_id ?? null;
+
+    if (requested !== undefined && requested !== null && requested !== "" && String(requested) !== String(branchId)) {
+      if (requested !== "all" && !/^[1-9]\d*$/.test(String(requested))) {
+        return res.status(400).json({ message: "branch_id must be a branch id or \"all\"" });
+      }
+      if (!hasPermission(req.user, "branches:all")) {
+        return res.status(403).json({ message: "Access denied to this branch" });
+      }
+      branchId = requested === "all" ? null : Number(requested);
+    }
+
+    if (branchId === null && !(allowAll && hasPermission(req.user, "branches:all"))) {
+      return res.status(400).json({ message: "No branch selected" });
+    }
+
+    req.branchId = branchId;
+    return next();
+  };
+
+  return { authenticate, requireUser, requirePermission, hasPermission, withBranch };
+}
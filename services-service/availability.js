@@ -0,0 +1,143 @@
+// availability.js — recipe vs. branch stock checks for services
+//
+// A service's recipe is its service_products rows, one set per variant (vehicle size).
+// A variant is available when the branch holds at least the recipe quantity of every product;
+// a variant with no recipe rows consumes nothing and is always available.
+// Packages are evaluated the same way, with the union of their services' recipes.
+
+// Sums duplicate product rows so each product is checked once per variant
+export function recipeRequirements(rows) {
+  const required = {};
+  for (const row of rows) {
+    required[row.product_id] ??= {
+      product_id: row.product_id,
+      product_name: row.products?.name ?? null,
+      unit: row.products?.unit ?? null,
+      required: 0,
+    };
+    required[row.product_id].required += Number(row.quantity);
+  }
+  return Object.values(required);
+}
+
+// Shortages of one recipe against a { product_id: stock } map
+export function findShortages(requirements, stock) {
+  return requirements
+    .map((r) => {
+      const inStock = stock[r.product_id] ?? 0;
+      return { ...r, in_stock: inStock, short_by: Math.max(r.required - inStock, 0) };
+    })
+    .filter((r) => r.short_by > 0);
+}
+
+// How many more times a recipe can be performed from stock, and which product runs out first.
+// Recipes with no products are unlimited (capacity null).
+export function computeCapacity(requirements, stock) {
+  let capacity = null;
+  let bottleneck = null;
+  for (const r of requirements) {
+    if (!(r.required > 0)) continue;
+    const inStock = Math.max(stock[r.product_id] ?? 0, 0);
+    const times = Math.floor(inStock / r.required);
+    if (capacity === null || times < capacity) {
+      capacity = times;
+      bottleneck = { product_id: r.product_id, product_name: r.product_name, unit: r.unit, in_stock: inStock, required_per_service: r.required };
+    }
+  }
+  return { capacity, bottleneck };
+}
+
+// Shapes a service_packages row like a service so `evaluate` can run on it: the recipe is every
+// child service's service_products, and the package is inactive if any child service is
+export function packageAsService(pkg) {
+  const { service_package_items: items = [], ...fields } = pkg;
+  return {
+    ...fields,
+    is_package: true,
+    service_name: pkg.package_name,
+    active: pkg.active !== false && items.every((item) => item.services?.active !== false),
+    services: items.map((item) => ({ service_id: item.service_id, service_name: item.services?.service_name ?? null })),
+    service_products: items.flatMap((item) => item.services?.service_products || []),
+  };
+}
+
+export function createAvailability(supabase, { getBranchStock }) {
+  const SERVICE_SELECT = `*, service_products ( product_id, variant_id, quantity, products ( name, unit ) )`;
+  const PACKAGE_SELECT = `*, service_package_items ( service_id, services ( service_name, active, service_products ( product_id, variant_id, quantity, products ( name, unit ) ) ) )`;
+
+  async function loadVariants() {
+    const { data, error } = await supabase.from("variants").select("*").order("id", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+
+  // Services of a category (or an explicit id list) with their recipes
+  async function loadServices({ categoryId, serviceIds } = {}) {
+    let query = supabase.from("services").select(SERVICE_SELECT).order("service_id", { ascending: true });
+    if (categoryId !== undefined) query = query.eq("services_category_id", categoryId);
+    if (serviceIds !== undefined) query = query.in("service_id", serviceIds);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  // Packages of a category (or an explicit id list), shaped like services with combined recipes
+  async function loadPackages({ categoryId, packageIds } = {}) {
+    let query = supabase.from("service_packages").select(PACKAGE_SELECT).order("package_id", { ascending: true });
+    if (categoryId !== undefined) query = query.eq("services_category_id", categoryId);
+    if (packageIds !== undefined) query = query.in("package_id", packageIds);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data.map(packageAsService);
+  }
+
+  // Loads everything `evaluate` needs in one go: variants and branch stock for all recipes
+  async function loadContext(services, branchId) {
+    const variants = await loadVariants();
+    const stock = await getBranchStock(
+      branchId,
+      services.flatMap((s) => (s.service_products || []).map((sp) => sp.product_id))
+    );
+    return { variants, stock };
+  }
+
+  // Per service and per variant: available or not, which products are short by how much,
+  // and how many more times it can be performed (capacity) before the bottleneck runs out
+  function evaluate(service, { variants, stock }) {
+    const rows = service.service_products || [];
+
+    const variantResults = variants.map((variant) => {
+      const requirements = recipeRequirements(rows.filter((sp) => sp.variant_id === variant.id));
+      const shortages = findShortages(requirements, stock);
+      const { capacity, bottleneck } = computeCapacity(requirements, stock);
+      return {
+        variant_id: variant.id,
+        variant_name: variant.name,
+        has_recipe: requirements.length > 0,
+        available: service.active !== false && shortages.length === 0,
+        shortages,
+        capacity,
+        bottleneck,
+      };
+    });
+
+    const { service_products, ...fields } = service;
+    return {
+      ...fields,
+      available: service.active !== false && variantResults.some((v) => v.available),
+      reason: service.active === false
+        ? "inactive"
+        : variantResults.some((v) => v.available) ? null : "out_of_stock",
+      variants: variantResults,
+    };
+  }
+
+  async function forServices(services, branchId) {
+    const context = await loadContext(services, branchId);
+    return services.map((service) => evaluate(service, context));
+  }
+
+  return { loadVariants, loadServices, loadPackages, loadContext, evaluate, forServices };
+}
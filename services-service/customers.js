@@ -0,0 +1,326 @@
+// customers.js — customers, vehicles and their service history for services-service
+//
+// A vehicle belongs to a customer and has a size class (variant). Services applied against a
+// vehicle are stamped with its vehicle_id/customer_id and the unit price charged, which is what
+// the history and spend totals read.
+
+// "abc 1234", "ABC-1234" → "ABC1234"
+export const normalizePlate = (plate) => String(plate ?? "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const CUSTOMER_FIELDS = ["full_name", "phone", "email", "notes"];
+const VEHICLE_FIELDS = ["plate_number", "make", "model", "color", "year", "variant_id", "notes", "customer_id"];
+
+// Rows per request when reading history; at or under PostgREST's default max-rows
+const HISTORY_PAGE_SIZE = 1000;
+
+const HISTORY_SELECT = `
+  id,
+  created_at,
+  status,
+  quantity,
+  price,
+  branch_id,
+  vehicle_id,
+  customer_id,
+  service_id,
+  package_id,
+  variant_id,
+  services ( service_name ),
+  service_packages ( package_name ),
+  variants ( name ),
+  branches ( name )
+`;
+
+export function registerCustomerRoutes(app, { supabase, requirePermission }) {
+  const pick = (body, keys) => {
+    const fields = {};
+    for (const key of keys) if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  };
+
+  const vehicleFields = (body) => {
+    const fields = pick(body, VEHICLE_FIELDS);
+    if (fields.plate_number !== undefined) {
+      fields.plate_number = String(fields.plate_number).trim().toUpperCase();
+      fields.plate_key = normalizePlate(fields.plate_number);
+    }
+    return fields;
+  };
+
+  // The vehicle by id or plate, or null
+  async function resolveVehicle({ vehicleId, plateNumber }) {
+    if (!vehicleId && !plateNumber) return null;
+    let query = supabase.from("vehicles").select("*");
+    query = vehicleId ? query.eq("id", vehicleId) : query.eq("plate_key", normalizePlate(plateNumber));
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // Applied (not voided) services, newest first, shaped for display. limit null reads every row in
+  // [from, to), a page at a time, so totals aren't cut off by the API's row cap.
+  async function loadHistory(column, id, { limit = 100, from, to } = {}) {
+    const pageSize = Math.min(limit ?? HISTORY_PAGE_SIZE, HISTORY_PAGE_SIZE);
+    const data = [];
+    for (let offset = 0; limit === null || offset < limit; offset += pageSize) {
+      let query = supabase
+        .from("service_applications")
+        .select(HISTORY_SELECT)
+        .eq(column, id)
+        .eq("status", "applied")
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: false })
+        .range(offset, offset + Math.min(pageSize, (limit ?? Infinity) - offset) - 1);
+      if (from) query = query.gte("created_at", from);
+      if (to) query = query.lt("created_at", to);
+
+      const { data: page, error } = await query;
+      if (error) throw error;
+      data.push(...page);
+      if (page.length < pageSize) break;
+    }
+
+    return data.map(({ services, service_packages, variants, branches, ...row }) => ({
+      ...row,
+      service_name: service_packages?.package_name ?? services?.service_name ?? null,
+      variant_name: variants?.name ?? null,
+      branch_name: branches?.name ?? null,
+      amount: row.price === null ? null : Number(row.price) * Number(row.quantity ?? 1),
+    }));
+  }
+
+  // Visits, amount spent and favourite services from a history list
+  const summarizeSpend = (history) => {
+    const byService = {};
+    for (const row of history) {
+      const key = row.package_id ? `package:${row.package_id}` : `service:${row.service_id}`;
+      const entry = (byService[key] ??= {
+        service_id: row.service_id,
+        package_id: row.package_id,
+        service_name: row.service_name,
+        times: 0,
+        amount: 0,
+      });
+      entry.times += Number(row.quantity ?? 1);
+      entry.amount += row.amount ?? 0;
+    }
+
+    return {
+      visits: new Set(history.map((row) => row.created_at.slice(0, 10))).size,
+      services: history.reduce((sum, row) => sum + Number(row.quantity ?? 1), 0),
+      total_spend: Math.round(history.reduce((sum, row) => sum + (row.amount ?? 0), 0) * 100) / 100,
+      first_visit: history.at(-1)?.created_at ?? null,
+      last_visit: history[0]?.created_at ?? null,
+      by_service: Object.values(byService).sort((a, b) => b.amount - a.amount),
+    };
+  };
+
+  const sendError = (res, error) => {
+    if (error.code === "23505") return res.status(409).json({ error: "A vehicle with this plate number is already registered" });
+    if (error.code === "23503") return res.status(409).json({ error: "Still referenced by service history" });
+    return res.status(400).json({ error: error.message });
+  };
+
+  // ================== CUSTOMERS ==================
+
+  // GET customers (?search= matches name, phone or email)
+  app.get("/api/customers", requirePermission("services:apply"), async (req, res) => {
+    try {
+      let query = supabase
+        .from("customers")
+        .select("*, vehicles ( id, plate_number, make, model, variant_id )")
+        .order("full_name", { ascending: true })
+        .limit(200);
+      const search = req.query.search?.replace(/[%,()]/g, " ").trim();
+      if (search) query = query.or(`full_name.ilike.%${search}%,phone.ilike.%${search}%,email.ilike.%${search}%`);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET customer with vehicles, recent history and spend totals
+  app.get("/api/customers/:id", requirePermission("services:apply"), async (req, res) => {
+    try {
+      const { data: customer, error } = await supabase
+        .from("customers")
+        .select("*, vehicles ( *, variants ( name ) )")
+        .eq("id", req.params.id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!customer) return res.status(404).json({ error: "Customer not found" });
+
+      const history = await loadHistory("customer_id", customer.id, { limit: null });
+      res.json({ ...customer, spend: summarizeSpend(history), history: history.slice(0, 20) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET a customer's service history (?limit=)
+  app.get("/api/customers/:id/history", requirePermission("services:apply"), async (req, res) => {
+    try {
+      res.json(await loadHistory("customer_id", req.params.id, { limit: Number(req.query.limit) || 100 }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET spend totals (?from=&to=)
+  app.get("/api/customers/:id/spend", requirePermission("services:apply"), async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      if ([from, to].some((date) => date && Number.isNaN(new Date(date).getTime()))) {
+        return res.status(400).json({ error: "from and to must be dates" });
+      }
+      const history = await loadHistory("customer_id", req.params.id, { limit: null, from, to });
+      res.json({ customer_id: Number(req.params.id), from: from ?? null, to: to ?? null, ...summarizeSpend(history) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST customer, optionally with vehicles: [{ plate_number, make, model, variant_id, ... }]
+  app.post("/api/customers", requirePermission("customers:manage"), async (req, res) => {
+    try {
+      const fields = pick(req.body, CUSTOMER_FIELDS);
+      if (!fields.full_name) return res.status(400).json({ error: "full_name is required" });
+
+      const { data: customer, error } = await supabase
+        .from("customers")
+        .insert([{ ...fields, created_by: req.user.user_id }])
+        .select()
+        .single();
+      if (error) return sendError(res, error);
+
+      const vehicles = (req.body.vehicles || []).map((v) => ({ ...vehicleFields(v), customer_id: customer.id }));
+      if (vehicles.some((v) => !v.plate_key)) {
+        await supabase.from("customers").delete().eq("id", customer.id);
+        return res.status(400).json({ error: "Every vehicle needs a plate_number" });
+      }
+      if (vehicles.length > 0) {
+        const { data, error: vehicleError } = await supabase.from("vehicles").insert(vehicles).select();
+        if (vehicleError) {
+          await supabase.from("customers").delete().eq("id", customer.id);
+          return sendError(res, vehicleError);
+        }
+        customer.vehicles = data;
+      }
+
+      res.status(201).json(customer);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.put("/api/customers/:id", requirePermission("customers:manage"), async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("customers")
+        .update({ ...pick(req.body, CUSTOMER_FIELDS), updated_at: new Date().toISOString() })
+        .eq("id", req.params.id)
+        .select()
+        .maybeSingle();
+      if (error) return sendError(res, error);
+      if (!data) return res.status(404).json({ error: "Customer not found" });
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE customer; customers with vehicles or history are kept
+  app.delete("/api/customers/:id", requirePermission("customers:manage"), async (req, res) => {
+    const { error } = await supabase.from("customers").delete().eq("id", req.params.id);
+    if (error) return sendError(res, error);
+    res.json({ message: "Customer deleted" });
+  });
+
+  // ================== VEHICLES ==================
+
+  // GET /api/vehicles/lookup?plate= — exact plate match with owner, last service and history;
+  // otherwise plates containing the input as suggestions
+  app.get("/api/vehicles/lookup", requirePermission("services:apply"), async (req, res) => {
+    try {
+      const plateKey = normalizePlate(req.query.plate);
+      if (!plateKey) return res.status(400).json({ error: "plate is required" });
+
+      const { data: vehicle, error } = await supabase
+        .from("vehicles")
+        .select("*, customers ( * ), variants ( name )")
+        .eq("plate_key", plateKey)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (!vehicle) {
+        const { data: matches, error: matchError } = await supabase
+          .from("vehicles")
+          .select("id, plate_number, make, model, customer_id")
+          .ilike("plate_key", `%${plateKey}%`)
+          .limit(10);
+        if (matchError) throw matchError;
+        return res.status(404).json({ error: "No vehicle with that plate", matches });
+      }
+
+      const history = await loadHistory("vehicle_id", vehicle.id);
+      res.json({ ...vehicle, last_service: history[0] ?? null, history });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get("/api/vehicles/:id/history", requirePermission("services:apply"), async (req, res) => {
+    try {
+      res.json(await loadHistory("vehicle_id", req.params.id, { limit: Number(req.query.limit) || 100 }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.post("/api/customers/:id/vehicles", requirePermission("customers:manage"), async (req, res) => {
+    try {
+      const fields = { ...vehicleFields(req.body), customer_id: Number(req.params.id) };
+      if (!fields.plate_key) return res.status(400).json({ error: "plate_number is required" });
+
+      const { data, error } = await supabase.from("vehicles").insert([fields]).select().single();
+      if (error) return sendError(res, error);
+      res.status(201).json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // PUT vehicle (customer_id moves it to another owner)
+  app.put("/api/vehicles/:id", requirePermission("customers:manage"), async (req, res) => {
+    try {
+      const fields = vehicleFields(req.body);
+      if (fields.plate_number !== undefined && !fields.plate_key) {
+        return res.status(400).json({ error: "plate_number can't be empty" });
+      }
+
+      const { data, error } = await supabase
+        .from("vehicles")
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq("id", req.params.id)
+        .select()
+        .maybeSingle();
+      if (error) return sendError(res, error);
+      if (!data) return res.status(404).json({ error: "Vehicle not found" });
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.delete("/api/vehicles/:id", requirePermission("customers:manage"), async (req, res) => {
+    const { error } = await supabase.from("vehicles").delete().eq("id", req.params.id);
+    if (error) return sendError(res, error);
+    res.json({ message: "Vehicle deleted" });
+  });
+
+  return { resolveVehicle, normalizePlate };
+}
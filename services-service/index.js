@@ -3,6 +3,17 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import { createClient } from "@supabase/supabase-js";
+import { createAuth } from "./auth.js";
+import { createAvailability } from "./availability.js";
+import { registerPosOrderRoutes } from "./pos-orders.js";
+import { registerPackageRoutes } from "./packages.js";
+import { registerPriceRoutes } from "./prices.js";
+import { registerPromotionRoutes } from "./promotions.js";
+import { registerMarginRoutes } from "./margins.js";
+import { registerCustomerRoutes } from "./customers.js";
+import { registerAppointmentRoutes } from "./appointments.js";
+import { registerTopServicesRoute } from "./top-services.js";
+import { registerMenuRoutes } from "./menu.js";
 
 
 dotenv.config();
@@ -21,6 +32,79 @@ const posSupabase = createClient(
 );
 
 
+const { requirePermission, hasPermission, withBranch } = createAuth(supabase);
+
+
+// Wall-clock time zone for opening hours and happy-hour promotions
+const SHOP_TIMEZONE = process.env.SHOP_TIMEZONE || process.env.PROMO_TIMEZONE || "UTC";
+
+
+/* ================================
+   BRANCH HELPERS
+   ================================ */
+
+
+// Branch for public (appointment) endpoints: explicit branch_id, else DEFAULT_BRANCH_ID, else the first branch
+const resolvePublicBranch = async (req) => {
+  const explicit = req.body?.branch_id ?? req.query.branch_id ?? process.env.DEFAULT_BRANCH_ID;
+  if (explicit) return Number(explicit);
+
+  const { data, error } = await supabase
+    .from("branches")
+    .select("id")
+    .eq("active", true)
+    .order("id", { ascending: true })
+    .limit(1)
+    .single();
+  if (error) throw error;
+  return data.id;
+};
+
+
+// { product_id: stock } at one branch (missing rows = 0)
+const getBranchStock = async (branchId, productIds) => {
+  if (productIds.length === 0) return {};
+  const { data, error } = await supabase
+    .from("branch_stock")
+    .select("product_id, stock")
+    .eq("branch_id", branchId)
+    .in("product_id", [...new Set(productIds)]);
+  if (error) throw error;
+  return Object.fromEntries(data.map((row) => [row.product_id, Number(row.stock)]));
+};
+
+
+const availability = createAvailability(supabase, { getBranchStock });
+
+
+const SIZE_COLUMNS = ["small", "medium", "large", "xlarge", "xxlarge"];
+
+
+// Applies a branch's price overrides (non-null columns) on top of the service's own prices.
+// Packages (no service_id) keep their own prices.
+const applyBranchPrices = async (services, branchId) => {
+  const serviceIds = services.filter((s) => !s.is_package).map((s) => s.service_id);
+  if (!branchId || serviceIds.length === 0) return services;
+  const { data, error } = await supabase
+    .from("service_branch_prices")
+    .select("*")
+    .eq("branch_id", branchId)
+    .in("service_id", serviceIds);
+  if (error) throw error;
+
+  const overrides = Object.fromEntries(data.map((row) => [row.service_id, row]));
+  return services.map((service) => {
+    const override = !service.is_package && overrides[service.service_id];
+    if (!override) return service;
+    const priced = { ...service };
+    for (const size of SIZE_COLUMNS) {
+      if (override[size] !== null && override[size] !== undefined) priced[size] = override[size];
+    }
+    return priced;
+  });
+};
+
+
 /* ================================
    Appointment System Compatible (UPDATED)
    ================================ */
@@ -40,89 +124,46 @@ export const getAllServicesCategories = async (req, res) => {
 
 
 /* -------------------------------------------------------
-   ✅ THE 4 UPDATED FUNCTIONS (Clean - No Renaming)
+   SERVICE AVAILABILITY (any category)
    ------------------------------------------------------- */
 
 
-// 1. Get Basic Services
-export const getBasicServices = async (req, res) => {
+// GET /api/categories/:id/services/availability?branch_id=
+// Per service and per variant: available or not, and which products are short by how much.
+// The category's packages are listed after its services (is_package: true).
+export const getCategoryServiceAvailability = async (req, res) => {
   try {
-    const { services_category_id } = req.body;
-   
-    const { data: services, error } = await supabase
-      .from("services")
-      .select(`*, service_products ( quantity, products ( stock ) )`)
-      .eq("services_category_id", services_category_id);
-
-
-    if (error) throw error;
-
-
-    const processedServices = services.map((service) => {
-      // 1. Check Stock
-      let hasStock = true;
-      if (service.service_products?.length > 0) {
-        hasStock = service.service_products.every(sp =>
-          sp.products && sp.products.stock >= sp.quantity
-        );
-      }
-
-
-      // 2. If NO STOCK, just set active to false
-      if (!hasStock) {
-        return {
-          ...service,
-          // We REMOVED the renaming line here to prevent double labels
-          active: false
-        };
-      }
-      return service;
-    });
-
-
-    const cleanedData = processedServices.map(({ service_products, ...rest }) => rest);
-    return res.status(200).json({ services: cleanedData });
+    const services = [
+      ...(await availability.loadServices({ categoryId: req.params.id })),
+      ...(await availability.loadPackages({ categoryId: req.params.id })),
+    ];
+    const branchId = await resolvePublicBranch(req);
+    const results = await availability.forServices(await applyBranchPrices(services, branchId), branchId);
+
+    return res.status(200).json({ branch_id: branchId, services_category_id: Number(req.params.id), services: results });
   } catch (err) {
     console.error(err.message);
-    return res.status(500).json({ message: "Error fetching services" });
+    return res.status(500).json({ message: "Error checking service availability" });
   }
 };
 
 
-// 2. Get Premium Wax + Carwash Services
-export const getPremiumWaxWithCarwashServices = async (req, res) => {
+// Legacy appointment endpoints: POST { services_category_id }, returns the services with
+// `active: false` for anything that can't be performed right now. Packages follow the services.
+export const getServicesByCategory = async (req, res) => {
   try {
     const { services_category_id } = req.body;
-   
-    const { data: services, error } = await supabase
-      .from("services")
-      .select(`*, service_products ( quantity, products ( stock ) )`)
-      .eq("services_category_id", services_category_id);
-
-
-    if (error) throw error;
 
+    const services = [
+      ...(await availability.loadServices({ categoryId: services_category_id })),
+      ...(await availability.loadPackages({ categoryId: services_category_id })),
+    ];
+    const branchId = await resolvePublicBranch(req);
+    const results = await availability.forServices(await applyBranchPrices(services, branchId), branchId);
 
-    const processedServices = services.map((service) => {
-      let hasStock = true;
-      if (service.service_products?.length > 0) {
-        hasStock = service.service_products.every(sp =>
-          sp.products && sp.products.stock >= sp.quantity
-        );
-      }
-
-
-      if (!hasStock) {
-        return {
-          ...service,
-          active: false
-        };
-      }
-      return service;
-    });
-
-
-    const cleanedData = processedServices.map(({ service_products, ...rest }) => rest);
+    const cleanedData = results.map(({ variants, available, reason, ...service }) =>
+      available ? service : { ...service, active: false }
+    );
     return res.status(200).json({ services: cleanedData });
   } catch (err) {
     console.error(err.message);
@@ -131,110 +172,82 @@ export const getPremiumWaxWithCarwashServices = async (req, res) => {
 };
 
 
-// 3. Get Major Services
-export const getMajorServices = async (req, res) => {
-  try {
-    const { services_category_id } = req.body;
-   
-    const { data: services, error } = await supabase
-      .from("services")
-      .select(`*, service_products ( quantity, products ( stock ) )`)
-      .eq("services_category_id", services_category_id);
-
-
-    if (error) throw error;
-
-
-    const processedServices = services.map((service) => {
-      let hasStock = true;
-      if (service.service_products?.length > 0) {
-        hasStock = service.service_products.every(sp =>
-          sp.products && sp.products.stock >= sp.quantity
-        );
-      }
-
-
-      if (!hasStock) {
-        return {
-          ...service,
-          active: false
-        };
-      }
-      return service;
-    });
+export const getBasicServices = getServicesByCategory;
+export const getPremiumWaxWithCarwashServices = getServicesByCategory;
+export const getMajorServices = getServicesByCategory;
+export const getCeramicCoatingServices = getServicesByCategory;
 
 
-    const cleanedData = processedServices.map(({ service_products, ...rest }) => rest);
-    return res.status(200).json({ services: cleanedData });
-  } catch (error) {
-    console.error(error.message);
-    return res.status(500).json({ message: "Error fetching services" });
+// Size prices of a service (branch overrides applied) or a package, plus its category for
+// promotion targeting. With `at`, a service's base price in force then (branch overrides aren't
+// versioned, so they only apply to current prices; prices is null if it had none yet).
+// null if the service/package doesn't exist.
+const lookupPrices = async ({ serviceId, packageId, branchId, at }) => {
+  const table = packageId ? "service_packages" : "services";
+  const { data, error } = await supabase
+    .from(table)
+    .select("services_category_id, small, medium, large, xlarge, xxlarge")
+    .eq(packageId ? "package_id" : "service_id", packageId || serviceId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+
+  const { services_category_id, ...current } = data;
+  if (packageId) return { prices: current, services_category_id };
+
+  if (at) {
+    const version = await servicePrices.priceAt(serviceId, at);
+    const prices = version && Object.fromEntries(SIZE_COLUMNS.map((size) => [size, version[size]]));
+    return { prices, services_category_id, effective_from: version?.effective_from ?? null };
   }
+
+  const [priced] = await applyBranchPrices([{ service_id: Number(serviceId), ...current }], branchId);
+  const { service_id: _id, ...prices } = priced;
+  return { prices, services_category_id };
 };
 
 
-// 4. Get Ceramic Coating Services
-export const getCeramicCoatingServices = async (req, res) => {
+// Get price for a specific service (branch overrides applied), or a package with { package_id }.
+// { date } returns the base price that was in force then. With { size } (and optionally
+// { promo_code }) it also returns base_price, discount, final_price and the promotion applied.
+export const getPrice = async (req, res) => {
   try {
-    const { services_category_id } = req.body;
-   
-    const { data: services, error } = await supabase
-      .from("services")
-      .select(`*, service_products ( quantity, products ( stock ) )`)
-      .eq("services_category_id", services_category_id);
-
-
-    if (error) throw error;
-
-
-    const processedServices = services.map((service) => {
-      let hasStock = true;
-      if (service.service_products?.length > 0) {
-        hasStock = service.service_products.every(sp =>
-          sp.products && sp.products.stock >= sp.quantity
-        );
-      }
+    const { service_id, package_id, size, promo_code } = req.body;
 
+    const date = servicePrices.parseDate(req.body.date);
+    if (date === null) return res.status(400).json({ message: "date is not a valid date" });
 
-      if (!hasStock) {
-        return {
-          ...service,
-          active: false
-        };
-      }
-      return service;
+    const item = await lookupPrices({
+      serviceId: service_id,
+      packageId: package_id,
+      branchId: await resolvePublicBranch(req),
+      at: date,
     });
+    if (!item) return res.status(404).json({ message: package_id ? "Package not found" : "Service not found" });
+    if (!item.prices) return res.status(404).json({ message: "No price in force at that date" });
 
+    const response = { prices: item.prices };
+    if (date && !package_id) response.effective_from = item.effective_from;
 
-    const cleanedData = processedServices.map(({ service_products, ...rest }) => rest);
-    return res.status(200).json({ services: cleanedData });
-  } catch (error) {
-    console.error(error.message);
-    return res.status(500).json({ message: "Error fetching services" });
-  }
-};
-
-
-
-
-/* -------------------------------------------------------
-   ✅ END OF UPDATED FUNCTIONS
-   ------------------------------------------------------- */
-
-
-// Get price for a specific service (NO CHANGE)
-export const getPrice = async (req, res) => {
-  try {
-    const { service_id } = req.body;
-    const { data, error } = await supabase
-      .from("services")
-      .select("small, medium, large, xlarge, xxlarge")
-      .eq("service_id", service_id)
-      .single();
+    if (size !== undefined || promo_code) {
+      const sizeKey = promotions.toSize(size);
+      if (!sizeKey) return res.status(400).json({ message: `size must be one of ${SIZE_COLUMNS.join(", ")}` });
+      if (item.prices[sizeKey] === null || item.prices[sizeKey] === undefined) {
+        return res.status(400).json({ message: `No ${sizeKey} price set` });
+      }
 
+      Object.assign(response, await promotions.quote({
+        serviceId: service_id,
+        packageId: package_id,
+        categoryId: item.services_category_id,
+        size: sizeKey,
+        basePrice: item.prices[sizeKey],
+        code: promo_code,
+        at: date ?? new Date(),
+      }));
+    }
 
-    if (error) throw error;
-    return res.status(200).json({ prices: data });
+    return res.status(200).json(response);
   } catch (err) {
     console.error(err.message);
     return res.status(500).json({ message: "Error fetching prices" });
@@ -275,6 +288,7 @@ app.post("/getPrice", getPrice);
 app.post("/getMajorServices", getMajorServices);
 app.post("/getCeramicCoatingServices", getCeramicCoatingServices);
 app.get("/fetchServiceDetails", fetchServiceDetails);
+app.get("/api/categories/:id/services/availability", getCategoryServiceAvailability);
 
 
 /* ======================
@@ -287,7 +301,7 @@ app.get("/api/service-categories", async (req, res) => {
 });
 
 
-app.post("/api/service-categories", async (req, res) => {
+app.post("/api/service-categories", requirePermission("services:write"), async (req, res) => {
   const { category_name } = req.body;
   const { data, error } = await supabase
     .from("services_category")
@@ -298,7 +312,7 @@ app.post("/api/service-categories", async (req, res) => {
 });
 
 
-app.put("/api/service-categories/:id", async (req, res) => {
+app.put("/api/service-categories/:id", requirePermission("services:write"), async (req, res) => {
   const { id } = req.params;
   const { category_name } = req.body;
   const { data, error } = await supabase
@@ -311,7 +325,7 @@ app.put("/api/service-categories/:id", async (req, res) => {
 });
 
 
-app.delete("/api/service-categories/:id", async (req, res) => {
+app.delete("/api/service-categories/:id", requirePermission("services:write"), async (req, res) => {
   const { id } = req.params;
   const { error } = await supabase.from("services_category").delete().eq("services_category_id", id);
   if (error) return res.status(500).json({ error: error.message });
@@ -320,38 +334,175 @@ app.delete("/api/service-categories/:id", async (req, res) => {
 
 
 /* ============ SERVICES CRUD ============ */
+// ?branch_id= returns prices with that branch's overrides applied; ?include_packages=true
+// appends packages (is_package: true) after the services
 app.get("/api/services", async (req, res) => {
   const { data, error } = await supabase.from("services").select("*, services_category(category_name)");
   if (error) return res.status(500).json({ error: error.message });
+
+  let services = data;
+  if (req.query.include_packages === "true") {
+    try {
+      const packages = await availability.loadPackages();
+      services = [...data, ...packages.map(({ service_products, ...pkg }) => pkg)];
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
+  res.json(await applyBranchPrices(services, req.query.branch_id ? Number(req.query.branch_id) : null));
+});
+
+
+/* ============ BRANCH PRICE OVERRIDES ============ */
+app.get("/api/services/:id/branch-prices", async (req, res) => {
+  const { id } = req.params;
+  const { data, error } = await supabase
+    .from("service_branch_prices")
+    .select("*, branches(name)")
+    .eq("service_id", id);
+  if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
 
-app.post("/api/services", async (req, res) => {
-  const { service_name, services_category_id, small, medium, large, xlarge, xxlarge } = req.body;
+// Null sizes fall back to the service's own price
+app.put("/api/services/:id/branch-prices/:branch_id", requirePermission("services:write"), async (req, res) => {
+  const { id, branch_id } = req.params;
+  const override = { service_id: id, branch_id };
+  for (const size of SIZE_COLUMNS) override[size] = req.body[size] ?? null;
+
   const { data, error } = await supabase
-    .from("services")
-    .insert([{ service_name, services_category_id, small, medium, large, xlarge, xxlarge }])
+    .from("service_branch_prices")
+    .upsert([override], { onConflict: "service_id,branch_id" })
     .select();
   if (error) return res.status(500).json({ error: error.message });
   res.json(data[0]);
 });
 
 
-app.put("/api/services/:id", async (req, res) => {
-  const { id } = req.params;
-  const { service_name, services_category_id, small, medium, large, xlarge, xxlarge, active } = req.body;
+app.delete("/api/services/:id/branch-prices/:branch_id", requirePermission("services:write"), async (req, res) => {
+  const { id, branch_id } = req.params;
+  const { error } = await supabase
+    .from("service_branch_prices")
+    .delete()
+    .eq("service_id", id)
+    .eq("branch_id", branch_id);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ message: "Branch prices removed" });
+});
+
+
+/* ============ PRICE HISTORY ============ */
+const servicePrices = registerPriceRoutes(app, { supabase, requirePermission, sizeColumns: SIZE_COLUMNS });
+
+
+/* ============ PROMOTIONS ============ */
+const promotions = registerPromotionRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  lookupPrices,
+  sizeColumns: SIZE_COLUMNS,
+  timeZone: SHOP_TIMEZONE,
+});
+
+
+/* ============ MARGINS ============ */
+registerMarginRoutes(app, {
+  supabase,
+  requirePermission,
+  availability,
+  applyBranchPrices,
+  withBranch,
+  toSize: promotions.toSize,
+  defaultThreshold: Number(process.env.LOW_MARGIN_THRESHOLD_PERCENT ?? 30),
+  lookbackDays: Number(process.env.MARGIN_COST_LOOKBACK_DAYS) || 30,
+});
+
+
+/* ============ PUBLIC MENU ============ */
+registerMenuRoutes(app, {
+  supabase,
+  availability,
+  applyBranchPrices,
+  resolvePublicBranch,
+  toSize: promotions.toSize,
+  sizeColumns: SIZE_COLUMNS,
+  title: process.env.MENU_TITLE || "Service Menu",
+  maxAgeSeconds: Number(process.env.MENU_CACHE_MAX_AGE_SECONDS ?? 300),
+});
+
+
+app.post("/api/services", requirePermission("services:write"), async (req, res) => {
+  const { service_name, services_category_id, small, medium, large, xlarge, xxlarge } = req.body;
   const { data, error } = await supabase
     .from("services")
-    .update({ service_name, services_category_id, small, medium, large, xlarge, xxlarge, active })
-    .eq("service_id", id)
+    .insert([{ service_name, services_category_id, small, medium, large, xlarge, xxlarge }])
     .select();
   if (error) return res.status(500).json({ error: error.message });
+
+  try {
+    await servicePrices.recordPriceChange(data[0].service_id, data[0], { userId: req.user.user_id, note: "Initial price" });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
   res.json(data[0]);
 });
 
 
-app.delete("/api/services/:id", async (req, res) => {
+// Price changes are versioned in service_prices; { effective_from } schedules them for later
+app.put("/api/services/:id", requirePermission("services:write"), async (req, res) => {
+  const { id } = req.params;
+  const { service_name, services_category_id, active, effective_from, price_note } = req.body;
+
+  try {
+    const { data: current, error: currentError } = await supabase
+      .from("services")
+      .select("*")
+      .eq("service_id", id)
+      .maybeSingle();
+    if (currentError) throw currentError;
+    if (!current) return res.status(404).json({ error: "Service not found" });
+
+    const effectiveFrom = servicePrices.parseDate(effective_from);
+    if (effectiveFrom === null) return res.status(400).json({ error: "effective_from is not a valid date" });
+    if (effectiveFrom && effectiveFrom < new Date(Date.now() - 60 * 1000)) {
+      return res.status(400).json({ error: "effective_from cannot be in the past" });
+    }
+
+    const prices = {};
+    for (const size of SIZE_COLUMNS) {
+      if (req.body[size] !== undefined && (effectiveFrom || String(req.body[size]) !== String(current[size]))) {
+        prices[size] = req.body[size];
+      }
+    }
+
+    const fields = Object.fromEntries(
+      Object.entries({ service_name, services_category_id, active }).filter(([, value]) => value !== undefined)
+    );
+    if (Object.keys(fields).length > 0) {
+      const { error } = await supabase.from("services").update(fields).eq("service_id", id);
+      if (error) throw error;
+    }
+
+    if (Object.keys(prices).length > 0) {
+      await servicePrices.recordPriceChange(current.service_id, prices, {
+        effectiveFrom: effectiveFrom ?? new Date(),
+        userId: req.user.user_id,
+        note: price_note ?? null,
+      });
+    }
+
+    const { data, error } = await supabase.from("services").select("*").eq("service_id", id).single();
+    if (error) throw error;
+    res.json(data);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+app.delete("/api/services/:id", requirePermission("services:write"), async (req, res) => {
   const { id } = req.params;
   const { error } = await supabase.from("services").delete().eq("service_id", id);
   if (error) return res.status(500).json({ error: error.message });
@@ -367,7 +518,7 @@ app.get("/api/variants", async (req, res) => {
 });
 
 
-app.post("/api/variants", async (req, res) => {
+app.post("/api/variants", requirePermission("services:write"), async (req, res) => {
   const { name } = req.body;
   const { data, error } = await supabase.from("variants").insert([{ name }]).select();
   if (error) return res.status(500).json({ error: error.message });
@@ -375,100 +526,372 @@ app.post("/api/variants", async (req, res) => {
 });
 
 
+/* ================== CAPACITY ("washes remaining") ================== */
+
+
+// GET /api/services/capacity?branch_id=&services_category_id=&limit=
+// Every service/variant with a recipe, lowest capacity first
+app.get("/api/services/capacity", async (req, res) => {
+  try {
+    const { services_category_id, limit } = req.query;
+    const branchId = await resolvePublicBranch(req);
+    const services = await availability.loadServices(
+      services_category_id ? { categoryId: services_category_id } : {}
+    );
+    const results = await availability.forServices(services, branchId);
+
+    let rows = results
+      .filter((service) => service.active !== false)
+      .flatMap((service) =>
+        service.variants
+          .filter((v) => v.has_recipe)
+          .map((v) => ({
+            service_id: service.service_id,
+            service_name: service.service_name,
+            services_category_id: service.services_category_id,
+            variant_id: v.variant_id,
+            variant_name: v.variant_name,
+            capacity: v.capacity,
+            bottleneck: v.bottleneck,
+          }))
+      )
+      .sort((a, b) => a.capacity - b.capacity);
+    if (limit) rows = rows.slice(0, Number(limit));
+
+    res.json({ branch_id: branchId, data: rows });
+  } catch (err) {
+    console.error("Capacity error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
+// GET /api/services/:id/capacity?branch_id= — per variant of one service
+app.get("/api/services/:id/capacity", async (req, res) => {
+  try {
+    const services = await availability.loadServices({ serviceIds: [req.params.id] });
+    if (services.length === 0) return res.status(404).json({ error: "Service not found" });
+
+    const branchId = await resolvePublicBranch(req);
+    const [service] = await availability.forServices(services, branchId);
+
+    res.json({
+      branch_id: branchId,
+      service_id: service.service_id,
+      service_name: service.service_name,
+      variants: service.variants.map(({ variant_id, variant_name, has_recipe, capacity, bottleneck }) =>
+        ({ variant_id, variant_name, has_recipe, capacity, bottleneck })
+      ),
+    });
+  } catch (err) {
+    console.error("Capacity error:", err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+
 /* ================== SERVICE-PRODUCTS ================== */
-app.post("/api/service-products/assign", async (req, res) => {
-  const { service_id, product_id, variant_id, quantity } = req.body;
-  const { data, error } = await supabase.from("service_products").insert([{ service_id, product_id, variant_id, quantity }]).select();
+// A product appears once per service/variant recipe (service_products_recipe_key)
+const DUPLICATE_RECIPE_PRODUCT = "This product is already in the recipe; update its quantity instead";
+
+
+// Recipe quantities are stored in the product's stock unit. With `unit` (e.g. 50 "ml" of a product
+// stocked in litres) the entry is kept as recipe_quantity/recipe_unit and the database derives
+// `quantity`; without it, `quantity` is already in stock units.
+const recipeQuantityFields = (quantity, unit) => {
+  const recipeUnit = String(unit ?? "").trim().toLowerCase() || null;
+  return recipeUnit
+    ? { quantity, recipe_quantity: quantity, recipe_unit: recipeUnit }
+    : { quantity, recipe_quantity: null, recipe_unit: null };
+};
+
+// 400 message for a unit the product can't convert from (raised by to_stock_quantity)
+const unitConversionError = (error) => (error?.message === "UNIT_CONVERSION" ? error.details : null);
+
+
+app.post("/api/service-products/assign", requirePermission("services:write"), async (req, res) => {
+  const { service_id, product_id, variant_id, quantity, unit } = req.body;
+  const { data, error } = await supabase
+    .from("service_products")
+    .insert([{ service_id, product_id, variant_id, ...recipeQuantityFields(quantity, unit) }])
+    .select();
+  if (error?.code === "23505") return res.status(409).json({ error: DUPLICATE_RECIPE_PRODUCT });
+  if (unitConversionError(error)) return res.status(400).json({ error: unitConversionError(error) });
   if (error) return res.status(500).json({ error: error.message });
   res.json({ message: "Product assigned successfully", data });
 });
 
 
-app.get("/api/service-products/:service_id/:variant_id", async (req, res) => {
+// Checks a recipe item list; returns an error message or null
+const validateRecipeItems = (items) => {
+  if (!Array.isArray(items)) return "items must be an array of { product_id, quantity, unit? }";
+  if (items.some((i) => !i.product_id || !(Number(i.quantity) > 0))) {
+    return "Every item needs a product_id and a quantity greater than 0";
+  }
+  const seen = new Set();
+  const duplicates = new Set();
+  for (const { product_id } of items) {
+    if (seen.has(String(product_id))) duplicates.add(product_id);
+    seen.add(String(product_id));
+  }
+  return duplicates.size > 0 ? `Duplicate products in recipe: ${[...duplicates].join(", ")}` : null;
+};
+
+
+const replaceRecipe = async (serviceId, variantId, items) => {
+  const { data, error } = await supabase.rpc("replace_service_recipe", {
+    p_service_id: serviceId,
+    p_variant_id: variantId,
+    p_items: items.map(({ product_id, quantity, unit }) => ({
+      product_id,
+      quantity: Number(quantity),
+      unit: String(unit ?? "").trim().toLowerCase() || null
+    }))
+  });
+  if (error) throw error;
+  return data;
+};
+
+
+// PUT replace a service/variant's whole recipe: { items: [{ product_id, quantity, unit? }] } ([] clears it)
+app.put("/api/service-products/:service_id/:variant_id", requirePermission("services:write"), async (req, res) => {
   const { service_id, variant_id } = req.params;
-  const { data, error } = await supabase
-    .from("service_products")
-    .select("*, products(name, stock), variants(name)")
-    .eq("service_id", service_id)
-    .eq("variant_id", variant_id);
-  if (error) return res.status(500).json({ error: error.message });
-  res.json(data);
+  const invalid = validateRecipeItems(req.body.items);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  try {
+    const data = await replaceRecipe(service_id, variant_id, req.body.items);
+    res.json({ message: "Recipe replaced", data });
+  } catch (err) {
+    if (unitConversionError(err)) return res.status(400).json({ error: unitConversionError(err) });
+    res.status(500).json({ error: err.message });
+  }
 });
 
 
-/* ======================== APPLY SERVICE (Auto-deduct) ======================== */
-app.post("/api/service-products/apply", async (req, res) => {
+// POST copy one variant's recipe onto another, scaled: { from_variant_id, to_variant_id, scale = 1,
+// to_service_id = same service }. The target recipe is replaced.
+app.post("/api/services/:id/recipes/copy", requirePermission("services:write"), async (req, res) => {
+  const { id } = req.params;
+  const { from_variant_id, to_variant_id, to_service_id = id } = req.body;
+  const scale = req.body.scale === undefined ? 1 : Number(req.body.scale);
+
+  if (!from_variant_id || !to_variant_id) return res.status(400).json({ error: "from_variant_id and to_variant_id are required" });
+  if (!(scale > 0)) return res.status(400).json({ error: "scale must be greater than 0" });
+  if (String(to_service_id) === String(id) && String(from_variant_id) === String(to_variant_id)) {
+    return res.status(400).json({ error: "Source and target recipe are the same" });
+  }
+
   try {
-    const { service_id, variant_id } = req.body;
+    const { data: source, error } = await supabase
+      .from("service_products")
+      .select("product_id, quantity, recipe_quantity, recipe_unit")
+      .eq("service_id", id)
+      .eq("variant_id", from_variant_id);
+    if (error) throw error;
+    if (source.length === 0) return res.status(404).json({ error: "The source variant has no recipe" });
+
+    // Lines entered in a recipe unit stay in that unit
+    const items = source.map((sp) => ({
+      product_id: sp.product_id,
+      quantity: Math.round(Number(sp.recipe_unit ? sp.recipe_quantity : sp.quantity) * scale * 10000) / 10000,
+      unit: sp.recipe_unit
+    }));
+    const data = await replaceRecipe(to_service_id, to_variant_id, items);
+    res.json({ message: `Recipe copied (×${scale})`, data });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 
+// POST clone a service with its prices, branch prices, durations and all variant recipes: { service_name? }
+app.post("/api/services/:id/clone", requirePermission("services:write"), async (req, res) => {
+  try {
+    const { data: newId, error } = await supabase.rpc("clone_service", {
+      p_service_id: req.params.id,
+      p_service_name: req.body.service_name ?? null,
+      p_created_by: req.user.user_id
+    });
+    if (error) throw error;
+    if (!newId) return res.status(404).json({ error: "Service not found" });
 
-    console.log(`🚀 Applying Service ID: ${service_id}, Variant ID: ${variant_id}`);
+    const [service] = await availability.loadServices({ serviceIds: [newId] });
+    res.status(201).json({ message: "Service cloned", service });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
 
-    // 1. Get the list of products assigned to this service/variant
-    // We only select product_id and quantity here. We fetch current stock inside the loop.
-    const { data: serviceProducts, error: spError } = await supabase
+app.get("/api/service-products/:service_id/:variant_id", async (req, res) => {
+  const { service_id, variant_id } = req.params;
+  try {
+    const { data, error } = await supabase
       .from("service_products")
-      .select("product_id, quantity")
+      .select("*, products(name), variants(name)")
       .eq("service_id", service_id)
       .eq("variant_id", variant_id);
+    if (error) throw error;
 
+    const stock = await getBranchStock(await resolvePublicBranch(req), data.map((sp) => sp.product_id));
+    res.json(data.map((sp) => ({ ...sp, products: sp.products && { ...sp.products, stock: stock[sp.product_id] ?? 0 } })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (spError) throw spError;
-   
-    // Log what we found to debug
-    console.log(`📦 Found ${serviceProducts?.length || 0} items to deduct.`);
 
+/* ======================== STOCK MOVEMENTS ======================== */
 
-    if (!serviceProducts || serviceProducts.length === 0) {
-       return res.json({ message: "No inventory deduction needed." });
-    }
 
+// Runs apply_stock_movements: every product changes (and is logged to inventory_logs) or none do.
+// items = [{ product_id, change }]. Returns { movements } or, when stock is short, { shortages }.
+const applyStockMovements = async ({ branchId, items, reason, refTable, refId, userId, metadata = {} }) => {
+  const { data, error } = await supabase.rpc("apply_stock_movements", {
+    p_branch_id: branchId,
+    p_items: items,
+    p_reason: reason,
+    p_ref_table: refTable,
+    p_ref_id: refId,
+    p_created_by: userId,
+    p_metadata: metadata
+  });
 
-    // 2. Iterate and update ONE BY ONE
-    for (const sp of serviceProducts) {
-     
-      // A. Fetch the CURRENT stock from the DB right now (Fresh Data)
-      const { data: productData, error: productError } = await supabase
-        .from("products")
-        .select("product_id, stock, name, unit")
-        .eq("product_id", sp.product_id) // ✅ CORRECTED: using product_id
-        .single();
+  if (error?.message === "INSUFFICIENT_STOCK") return { shortages: JSON.parse(error.details || "[]") };
+  if (error) throw error;
+  return { movements: data };
+};
 
 
-      if (productError || !productData) {
-        console.error(`❌ Product lookup failed for ID: ${sp.product_id}`);
-        continue;
-      }
+/* ======================== CUSTOMERS & VEHICLES ======================== */
+const customers = registerCustomerRoutes(app, { supabase, requirePermission });
+
 
+// Vehicle from { vehicle_id | plate_number } and the variant to use: variant_id if given, else
+// the vehicle's size class. Returns { error, status } for an unknown vehicle or no variant.
+const resolveVehicleVariant = async ({ vehicle_id, plate_number, variant_id }) => {
+  const vehicle = await customers.resolveVehicle({ vehicleId: vehicle_id, plateNumber: plate_number });
+  if ((vehicle_id || plate_number) && !vehicle) return { error: "Vehicle not found", status: 404 };
 
-      console.log(`Processing ${productData.name}: Stock ${productData.stock} - ${sp.quantity}`);
+  const variantId = variant_id ?? vehicle?.variant_id;
+  if (!variantId) return { error: "variant_id is required", status: 400 };
+  return { vehicle, variantId };
+};
 
 
-      // B. Calculate new stock
-      const currentStock = productData.stock;
-      const newStock = currentStock - sp.quantity;
+// Unit price of a service or package for a variant at a branch (variant name → size column)
+const priceForVariant = async ({ serviceId, packageId, variantId, branchId }) => {
+  const { data: variant, error } = await supabase.from("variants").select("name").eq("id", variantId).maybeSingle();
+  if (error) throw error;
 
+  const size = variant && promotions.toSize(variant.name);
+  if (!size) return null;
+  const item = await lookupPrices({ serviceId, packageId, branchId });
+  return item?.prices?.[size] ?? null;
+};
 
-      if (newStock < 0) {
-        return res.status(400).json({
-          message: `Not enough stock for ${productData.name}. Current: ${currentStock}, Required: ${sp.quantity}`
-        });
-      }
+
+/* ======================== APPOINTMENTS ======================== */
+registerAppointmentRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  availability,
+  resolvePublicBranch,
+  resolveVehicle: customers.resolveVehicle,
+  timeZone: SHOP_TIMEZONE,
+  stepMinutes: Number(process.env.APPOINTMENT_SLOT_MINUTES) || 30,
+  defaultDurationMinutes: Number(process.env.DEFAULT_SERVICE_DURATION_MINUTES) || 30,
+});
+
+
+/* ======================== SERVICE APPLICATIONS ======================== */
+
+
+// Records a performed service and deducts its products in one transaction (the
+// record_service_application RPC): either both happen or neither does.
+// Returns { application, movements } or { shortages }.
+// Packages pass packageId instead of serviceId; a vehicle links it to the customer's history.
+const recordServiceApplication = async ({ branchId, serviceId = null, packageId = null, variantId, vehicle = null, userId, items, metadata = {} }) => {
+  const price = await priceForVariant({ serviceId, packageId, variantId, branchId });
+  const { data, error } = await supabase.rpc("record_service_application", {
+    p_application: {
+      branch_id: branchId,
+      service_id: serviceId,
+      package_id: packageId,
+      variant_id: variantId,
+      vehicle_id: vehicle?.id ?? null,
+      customer_id: vehicle?.customer_id ?? null,
+      price,
+      performed_by: userId
+    },
+    p_items: items,
+    p_metadata: { service_id: serviceId, package_id: packageId, variant_id: variantId, ...metadata }
+  });
+
+  if (error?.message === "INSUFFICIENT_STOCK") return { shortages: JSON.parse(error.details || "[]") };
+  if (error) throw error;
+  return { application: data.application, movements: data.movements };
+};
+
+
+/* ======================== APPLY SERVICE (Auto-deduct) ======================== */
+app.post("/api/service-products/apply", requirePermission("services:apply"), withBranch(), async (req, res) => {
+  try {
+    const { service_id } = req.body;
+
+    // variant_id may come from the vehicle's size class (vehicle_id or plate_number)
+    const { vehicle, variantId: variant_id, error, status } = await resolveVehicleVariant(req.body);
+    if (error) return res.status(status).json({ message: error });
+
+
+    console.log(`🚀 Applying Service ID: ${service_id}, Variant ID: ${variant_id}, Branch ID: ${req.branchId}`);
+
+
+    // 1. Get the list of products assigned to this service/variant
+    const { data: serviceProducts, error: spError } = await supabase
+      .from("service_products")
+      .select("product_id, quantity")
+      .eq("service_id", service_id)
+      .eq("variant_id", variant_id);
 
 
-      // C. Update the product
-      const { error: updateError } = await supabase
-        .from("products")
-        .update({ stock: newStock })
-        .eq("product_id", sp.product_id); // ✅ THIS WAS THE BUG (was 'id')
+    if (spError) throw spError;
+   
+    // Log what we found to debug
+    console.log(`📦 Found ${serviceProducts?.length || 0} items to deduct.`);
 
 
-      if (updateError) throw updateError;
+    // 2. Record the application and deduct everything in one transaction
+    // (row locks make concurrent applies safe)
+    const { application, movements, shortages } = await recordServiceApplication({
+      branchId: req.branchId,
+      serviceId: service_id,
+      variantId: variant_id,
+      vehicle,
+      userId: req.user.user_id,
+      items: serviceProducts.map((sp) => ({ product_id: sp.product_id, change: -sp.quantity })),
+      metadata: { performed_by: req.user.user_id ?? req.user.name }
+    });
+
+
+    if (shortages) {
+      const [first] = shortages;
+      return res.status(400).json({
+        message: `Not enough stock for ${first.product_name}. Current: ${first.in_stock}, Required: ${first.required}`,
+        shortages
+      });
     }
 
 
-    res.json({ message: "✅ Service applied and stock deducted successfully" });
+    res.json({
+      message: movements.length
+        ? "✅ Service applied and stock deducted successfully"
+        : "Service applied. No inventory deduction needed.",
+      service_application_id: application.id,
+      deductions: movements
+    });
   } catch (err) {
     console.error("Apply Service Error:", err);
     res.status(500).json({ message: "Error applying service", error: err.message });
@@ -476,81 +899,159 @@ app.post("/api/service-products/apply", async (req, res) => {
 });
 
 
-
-
-/* ================== START SERVER ================== */
-const PORT = process.env.PORT || 3002;
-app.listen(PORT, () => {
-  console.log(`✅ Services API running on port ${PORT}`);
-});
-
-
-// Services summary (total count)
-app.get("/api/services/summary", async (req, res) => {
+// List applied services for the branch (?status=applied|voided, ?from=, ?to=)
+app.get("/api/service-applications", requirePermission("services:apply"), withBranch({ allowAll: true }), async (req, res) => {
   try {
-    const { count, error } = await supabase.from("services").select("*", { count: "exact", head: true });
+    const { status, from, to } = req.query;
+    let query = supabase
+      .from("service_applications")
+      .select("*, services(service_name), service_packages(package_name), variants(name), vehicles(plate_number)")
+      .order("created_at", { ascending: false })
+      .limit(500);
+    if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
+    if (status) query = query.eq("status", status);
+    if (from) query = query.gte("created_at", from);
+    if (to) query = query.lt("created_at", to);
+
+    const { data, error } = await query;
     if (error) throw error;
-    res.json({ totalServices: count });
+    res.json(data);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 
-app.get("/api/reports/top-services", async (req, res) => {
+// Void an applied service: restocks exactly what it deducted, with compensating log entries
+app.post("/api/service-applications/:id/void", requirePermission("services:void"), withBranch({ allowAll: true }), async (req, res) => {
   try {
-    const { data: orders, error } = await posSupabase
-      .from("orders")
-      .select("item_details");
-
-
-    if (error) throw error;
-
+    const { id } = req.params;
+    const { reason } = req.body;
+    if (!reason?.trim()) return res.status(400).json({ message: "A reason is required to void a service" });
+
+    // Claim the application so two voids can't both restock
+    let claim = supabase
+      .from("service_applications")
+      .update({ status: "voided", void_reason: reason, voided_by: req.user.user_id, voided_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("status", "applied");
+    if (req.branchId !== null) claim = claim.eq("branch_id", req.branchId);
+
+    const { data: claimed, error: claimError } = await claim.select();
+    if (claimError) throw claimError;
+    if (!claimed.length) return res.status(404).json({ message: "Applied service not found or already voided" });
+    const application = claimed[0];
+
+    try {
+      const { data: logs, error: logsError } = await supabase
+        .from("inventory_logs")
+        .select("product_id, change")
+        .eq("ref_table", "service_applications")
+        .eq("ref_id", application.id)
+        .eq("reason", "SERVICE_APPLIED");
+      if (logsError) throw logsError;
+
+      let movements = [];
+      if (logs.length > 0) {
+        ({ movements } = await applyStockMovements({
+          branchId: application.branch_id,
+          items: logs.map((log) => ({ product_id: log.product_id, change: -log.change })),
+          reason: "SERVICE_VOIDED",
+          refTable: "service_applications",
+          refId: application.id,
+          userId: req.user.user_id,
+          metadata: {
+            service_application_id: application.id,
+            service_id: application.service_id,
+            package_id: application.package_id,
+            variant_id: application.variant_id,
+            void_reason: reason
+          }
+        }));
+      }
 
-    const counts = {};
+      res.json({ message: "Service voided and stock restored", service_application: application, restocked: movements });
+    } catch (err) {
+      await supabase
+        .from("service_applications")
+        .update({ status: "applied", void_reason: null, voided_by: null, voided_at: null })
+        .eq("id", application.id);
+      throw err;
+    }
+  } catch (err) {
+    console.error("Void Service Error:", err);
+    res.status(500).json({ message: "Error voiding service", error: err.message });
+  }
+});
 
 
-    orders.forEach(order => {
-      if (!order.item_details) return;
 
 
-      let items;
-      try {
-        items = Array.isArray(order.item_details)
-          ? order.item_details
-          : JSON.parse(order.item_details);
-      } catch (err) {
-        console.error("Failed to parse item_details:", err.message);
-        return;
-      }
+/* ======================== PACKAGES ======================== */
+registerPackageRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  availability,
+  resolvePublicBranch,
+  resolveVehicleVariant,
+  recordServiceApplication,
+  sizeColumns: SIZE_COLUMNS,
+});
 
 
-      items.forEach(item => {
-        if (item.type !== "service") return;
+/* ======================== POS ORDER INGESTION ======================== */
+const posOrders = registerPosOrderRoutes(app, {
+  supabase,
+  posSupabase,
+  availability,
+  requirePermission,
+  hasPermission,
+  withBranch,
+  defaultBranch: () => resolvePublicBranch({ query: {} }),
+  pollBatchSize: Number(process.env.POS_POLL_BATCH_SIZE) || 100,
+});
 
 
-        const name = item.name;
-        const qty = item.quantity || 1;
-        counts[name] = (counts[name] || 0) + qty;
-      });
-    });
+/* ================== TOP SERVICES REPORT (POS) ================== */
+// Column names in the POS `orders` table. Without a branch column, orders are scoped by the branch
+// ingestion gave them; an empty cashier column disables that filter.
+registerTopServicesRoute(app, {
+  supabase,
+  posSupabase,
+  requirePermission,
+  withBranch,
+  loadCatalog: posOrders.loadCatalog,
+  defaultBranch: () => resolvePublicBranch({ query: {} }),
+  timeZone: SHOP_TIMEZONE,
+  dateColumn: process.env.POS_ORDER_DATE_COLUMN || "created_at",
+  branchColumn: process.env.POS_ORDER_BRANCH_COLUMN || "",
+  cashierColumn: process.env.POS_ORDER_CASHIER_COLUMN ?? "cashier_id",
+});
 
 
-    const result = Object.entries(counts)
-      .map(([service_name, total_orders]) => ({ service_name, total_orders }))
-      .sort((a, b) => b.total_orders - a.total_orders);
+/* ================== START SERVER ================== */
+const PORT = process.env.PORT || 3002;
+app.listen(PORT, () => {
+  console.log(`✅ Services API running on port ${PORT}`);
 
+  // Future-dated price changes go live on the next tick after their effective_from
+  servicePrices.startScheduler(Number(process.env.PRICE_SCHEDULER_INTERVAL_MS) || 60 * 1000);
 
-    res.json({
-      source: "POS",
-      report: "Top Selling Services",
-      data: result
-    });
+  // POS_POLL_INTERVAL_MS=0 (default) leaves ingestion to the webhook
+  const pollInterval = Number(process.env.POS_POLL_INTERVAL_MS) || 0;
+  if (pollInterval > 0) posOrders.startPoller(pollInterval);
+});
 
 
+// Services summary (total count)
+app.get("/api/services/summary", async (req, res) => {
+  try {
+    const { count, error } = await supabase.from("services").select("*", { count: "exact", head: true });
+    if (error) throw error;
+    res.json({ totalServices: count });
   } catch (err) {
-    console.error(err.message);
-    res.status(500).json({ error: "Failed to fetch top services", details: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
@@ -567,7 +1068,10 @@ app.get("/api/service-inventory-details/:service_id", async (req, res) => {
       .select(`
         id,  
         quantity,
-        products (name, unit, stock),
+        recipe_quantity,
+        recipe_unit,
+        product_id,
+        products (name, unit),
         variants (name)
       `)
       .eq("service_id", service_id)
@@ -575,7 +1079,13 @@ app.get("/api/service-inventory-details/:service_id", async (req, res) => {
 
 
     if (error) throw error;
-    res.json(data);
+
+    // Stock shown is the selected branch's (?branch_id=)
+    const stock = await getBranchStock(await resolvePublicBranch(req), data.map((sp) => sp.product_id));
+    res.json(data.map(({ product_id, ...sp }) => ({
+      ...sp,
+      products: sp.products && { ...sp.products, stock: stock[product_id] ?? 0 },
+    })));
   } catch (err) {
     console.error("Error fetching attached products:", err.message);
     res.status(500).json({ error: err.message });
@@ -584,24 +1094,25 @@ app.get("/api/service-inventory-details/:service_id", async (req, res) => {
 
 
 // 2. ADD THIS NEW ROUTE: Update Quantity
-app.put("/api/service-products/:id", async (req, res) => {
+app.put("/api/service-products/:id", requirePermission("services:write"), async (req, res) => {
   const { id } = req.params;
-  const { quantity } = req.body;
+  const { quantity, unit } = req.body;
  
   const { data, error } = await supabase
     .from("service_products")
-    .update({ quantity })
+    .update(recipeQuantityFields(quantity, unit))
     .eq("id", id)
     .select();
 
 
+  if (unitConversionError(error)) return res.status(400).json({ error: unitConversionError(error) });
   if (error) return res.status(500).json({ error: error.message });
   res.json(data);
 });
 
 
 // 3. ADD THIS NEW ROUTE: Delete Mapping
-app.delete("/api/service-products/:id", async (req, res) => {
+app.delete("/api/service-products/:id", requirePermission("services:write"), async (req, res) => {
   const { id } = req.params;
   const { error } = await supabase
     .from("service_products")
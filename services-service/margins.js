@@ -0,0 +1,137 @@
+// margins.js — materials cost and gross margin per service and variant for services-service
+//
+// Materials cost is the recipe (service_products) priced at each product's current `cost`; the
+// selling price is the service's size column matching the variant's name ("Small" → small).
+// Services whose margin % is under the threshold are marked below_threshold, and flagged when a
+// product cost change within the lookback window is what pushed them under.
+
+export function computeMargin(price, cost) {
+  if (price === null || price === undefined) return { gross_margin: null, margin_percent: null };
+  const grossMargin = Number(price) - cost;
+  return {
+    gross_margin: Math.round(grossMargin * 100) / 100,
+    margin_percent: Number(price) > 0 ? Math.round((grossMargin / Number(price)) * 10000) / 100 : null,
+  };
+}
+
+export function registerMarginRoutes(app, {
+  supabase,
+  requirePermission,
+  availability,
+  applyBranchPrices,
+  withBranch,
+  toSize,
+  defaultThreshold = 30,
+  lookbackDays = 30,
+}) {
+  async function loadCosts(productIds, since) {
+    if (productIds.length === 0) return { costs: {}, changes: {} };
+
+    const [{ data: products, error }, { data: history, error: historyError }] = await Promise.all([
+      supabase.from("products").select("product_id, cost").in("product_id", productIds),
+      supabase
+        .from("product_cost_history")
+        .select("product_id, old_cost, new_cost, changed_at")
+        .in("product_id", productIds)
+        .gte("changed_at", since.toISOString())
+        .order("changed_at", { ascending: true }),
+    ]);
+    if (error) throw error;
+    if (historyError) throw historyError;
+
+    const changes = {};
+    for (const row of history) (changes[row.product_id] ??= []).push(row);
+    return { costs: Object.fromEntries(products.map((p) => [p.product_id, Number(p.cost) || 0])), changes };
+  }
+
+  // GET /api/reports/service-margins?branch_id=&threshold=&services_category_id=&service_id=&flagged_only=true
+  // Prices are the branch's (its overrides applied); branch_id=all uses the base prices.
+  app.get("/api/reports/service-margins", requirePermission("reports:view"), withBranch({ allowAll: true }), async (req, res) => {
+    try {
+      const { services_category_id, service_id } = req.query;
+      const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : defaultThreshold;
+      if (Number.isNaN(threshold)) return res.status(400).json({ error: "threshold must be a number" });
+
+      const branchId = req.branchId;
+      const filter = service_id ? { serviceIds: [service_id] } : services_category_id ? { categoryId: services_category_id } : {};
+      const services = await applyBranchPrices(
+        [
+          ...(await availability.loadServices(filter)),
+          ...(service_id ? [] : await availability.loadPackages(services_category_id ? { categoryId: services_category_id } : {})),
+        ],
+        branchId
+      );
+      const variants = await availability.loadVariants();
+
+      const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+      const productIds = [...new Set(services.flatMap((s) => (s.service_products || []).map((sp) => sp.product_id)))];
+      const { costs, changes } = await loadCosts(productIds, since);
+
+      // Cost of a product before the first change in the window, i.e. what it cost "before"
+      const previousCost = (productId) => {
+        const first = changes[productId]?.[0];
+        return first ? Number(first.old_cost) || 0 : costs[productId] ?? 0;
+      };
+
+      const rows = services.flatMap((service) =>
+        variants.map((variant) => {
+          const recipe = (service.service_products || []).filter((sp) => sp.variant_id === variant.id);
+          const size = toSize(variant.name);
+          const price = size ? service[size] ?? null : null;
+
+          const materials = recipe.map((sp) => ({
+            product_id: sp.product_id,
+            product_name: sp.products?.name ?? null,
+            unit: sp.products?.unit ?? null,
+            quantity: Number(sp.quantity),
+            unit_cost: costs[sp.product_id] ?? 0,
+            line_cost: Math.round(Number(sp.quantity) * (costs[sp.product_id] ?? 0) * 100) / 100,
+          }));
+          const materialsCost = Math.round(materials.reduce((sum, m) => sum + Number(m.quantity) * m.unit_cost, 0) * 100) / 100;
+          const previousMaterialsCost = Math.round(
+            recipe.reduce((sum, sp) => sum + Number(sp.quantity) * previousCost(sp.product_id), 0) * 100
+          ) / 100;
+
+          const current = computeMargin(price, materialsCost);
+          const previous = computeMargin(price, previousMaterialsCost);
+          const belowThreshold = current.margin_percent !== null && current.margin_percent < threshold;
+
+          return {
+            service_id: service.is_package ? null : service.service_id,
+            package_id: service.is_package ? service.package_id : null,
+            service_name: service.service_name,
+            services_category_id: service.services_category_id,
+            variant_id: variant.id,
+            variant_name: variant.name,
+            size,
+            price: price === null ? null : Number(price),
+            materials_cost: materialsCost,
+            ...current,
+            below_threshold: belowThreshold,
+            previous_materials_cost: previousMaterialsCost,
+            previous_margin_percent: previous.margin_percent,
+            // Under the threshold now but not before the recent cost changes
+            flagged: belowThreshold && previous.margin_percent !== null && previous.margin_percent >= threshold,
+            cost_changes: recipe.flatMap((sp) =>
+              (changes[sp.product_id] || []).map((change) => ({ product_id: sp.product_id, product_name: sp.products?.name ?? null, ...change }))
+            ),
+            materials,
+          };
+        })
+      ).filter((row) => row.materials.length > 0 || row.price !== null);
+
+      const data = req.query.flagged_only === "true" ? rows.filter((row) => row.flagged) : rows;
+      res.json({
+        branch_id: branchId,
+        threshold_percent: threshold,
+        lookback_days: lookbackDays,
+        flagged_count: rows.filter((row) => row.flagged).length,
+        below_threshold_count: rows.filter((row) => row.below_threshold).length,
+        data: data.sort((a, b) => (a.margin_percent ?? Infinity) - (b.margin_percent ?? Infinity)),
+      });
+    } catch (err) {
+      console.error("Service margins error:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+}
@@ -0,0 +1,248 @@
+// menu.js — public service menu export (JSON, printable HTML, PDF) for services-service
+//
+// The menu lists active services and packages that can be performed right now at a branch (same
+// stock check as the availability endpoints), grouped by services_category, with branch prices
+// per size. A size that is out of stock or has no price is shown as null / "—".
+// Responses carry an ETag of the menu content, so clients can revalidate with If-None-Match.
+// The PDF is written here directly (standard Helvetica fonts), so no renderer is needed.
+import { createHash } from "crypto";
+
+export const MENU_FORMAT_VERSION = 1;
+
+// ================== BUILD ==================
+
+export function registerMenuRoutes(app, {
+  supabase,
+  availability,
+  applyBranchPrices,
+  resolvePublicBranch,
+  toSize,
+  sizeColumns,
+  title = "Service Menu",
+  maxAgeSeconds = 300,
+}) {
+  async function buildMenu(branchId) {
+    const { data: categories, error } = await supabase
+      .from("services_category")
+      .select("services_category_id, category_name")
+      .order("services_category_id", { ascending: true });
+    if (error) throw error;
+
+    const services = await applyBranchPrices(
+      [...(await availability.loadServices()), ...(await availability.loadPackages())],
+      branchId
+    );
+    const results = await availability.forServices(services, branchId);
+    const variants = await availability.loadVariants();
+
+    const sizes = sizeColumns.map((size) => ({
+      size,
+      label: variants.find((v) => toSize(v.name) === size)?.name ?? size,
+    }));
+
+    const items = results
+      .filter((service) => service.available)
+      .map((service) => {
+        // Sizes whose variant is out of stock are left unpriced
+        const availableSizes = new Set(service.variants.filter((v) => v.available).map((v) => toSize(v.variant_name)));
+        const prices = Object.fromEntries(
+          sizeColumns.map((size) => [
+            size,
+            availableSizes.has(size) && service[size] !== null && service[size] !== undefined ? Number(service[size]) : null,
+          ])
+        );
+        return {
+          service_id: service.is_package ? null : service.service_id,
+          package_id: service.is_package ? service.package_id : null,
+          name: service.service_name,
+          description: service.description ?? null,
+          includes: service.is_package ? service.services.map((s) => s.service_name) : [],
+          services_category_id: service.services_category_id ?? null,
+          prices,
+        };
+      })
+      .filter((item) => Object.values(item.prices).some((price) => price !== null));
+
+    const grouped = [...categories, { services_category_id: null, category_name: "Other" }]
+      .map((category) => ({
+        services_category_id: category.services_category_id,
+        category_name: category.category_name,
+        items: items
+          .filter((item) => item.services_category_id === category.services_category_id)
+          .map(({ services_category_id, ...item }) => item),
+      }))
+      .filter((category) => category.items.length > 0);
+
+    return { version: MENU_FORMAT_VERSION, branch_id: branchId, sizes, categories: grouped };
+  }
+
+  // Sets ETag/Cache-Control for the menu and answers 304 when the client's copy is current
+  const notModified = (req, res, menu, format) => {
+    const hash = createHash("sha1").update(`${format}:${JSON.stringify(menu)}`).digest("base64url");
+    res.set("ETag", `"${hash}"`);
+    res.set("Cache-Control", `public, max-age=${maxAgeSeconds}`);
+    if (!req.fresh) return false;
+    res.status(304).end();
+    return true;
+  };
+
+  // ================== ROUTES ==================
+
+  // GET /api/menu?branch_id= — stable public JSON: { version, branch_id, sizes, categories[].items[] }
+  app.get("/api/menu", async (req, res) => {
+    try {
+      const menu = await buildMenu(await resolvePublicBranch(req));
+      if (notModified(req, res, menu, "json")) return;
+      res.json(menu);
+    } catch (err) {
+      console.error("Menu error:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/menu/print?branch_id= — printable HTML page
+  app.get("/api/menu/print", async (req, res) => {
+    try {
+      const menu = await buildMenu(await resolvePublicBranch(req));
+      if (notModified(req, res, menu, "html")) return;
+      res.type("html").send(renderHtml(menu, title));
+    } catch (err) {
+      console.error("Menu error:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/menu/pdf?branch_id=
+  app.get("/api/menu/pdf", async (req, res) => {
+    try {
+      const menu = await buildMenu(await resolvePublicBranch(req));
+      if (notModified(req, res, menu, "pdf")) return;
+      res.type("application/pdf");
+      res.set("Content-Disposition", `inline; filename="menu-branch-${menu.branch_id}.pdf"`);
+      res.send(renderPdf(menu, title));
+    } catch (err) {
+      console.error("Menu error:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return { buildMenu };
+}
+
+// ================== RENDERING ==================
+
+const formatPrice = (price) => (price === null ? "—" : price.toFixed(2));
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+export function renderHtml(menu, title) {
+  const head = menu.sizes.map((s) => `<th>${escapeHtml(s.label)}</th>`).join("");
+  const sections = menu.categories.map((category) => {
+    const rows = category.items.map((item) => {
+      const detail = item.includes.length ? `Includes ${item.includes.join(", ")}` : item.description;
+      return `<tr><td>${escapeHtml(item.name)}${detail ? `<small>${escapeHtml(detail)}</small>` : ""}</td>${
+        menu.sizes.map((s) => `<td class="price">${formatPrice(item.prices[s.size])}</td>`).join("")
+      }</tr>`;
+    }).join("\n");
+    return `<h2>${escapeHtml(category.category_name)}</h2>
+<table><thead><tr><th>Service</th>${head}</tr></thead><tbody>
+${rows}
+</tbody></table>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; margin: 2rem; color: #111; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; page-break-inside: avoid; }
+  th, td { padding: .35rem .5rem; border-bottom: 1px solid #ddd; text-align: left; }
+  td small { display: block; color: #666; }
+  th:not(:first-child), td.price { text-align: right; white-space: nowrap; }
+  @media print { body { margin: 0; } }
+</style></head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${sections || "<p>No services are available right now.</p>"}
+</body></html>
+`;
+}
+
+// PDF strings are Latin-1 with ( ) \ escaped; anything else becomes "?"
+const pdfText = (value) =>
+  String(value ?? "")
+    .replace(/—/g, "-")
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?")
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+
+// A4 portrait, one text table per category, new pages as needed
+export function renderPdf(menu, title) {
+  const [width, height, margin] = [595, 842, 50];
+  const priceX = (i) => 300 + i * 55;
+
+  const pages = [];
+  let ops = [];
+  let y = 0;
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = height - margin;
+  };
+  const text = (font, size, x, str) => ops.push(`BT /${font} ${size} Tf ${x} ${y} Td (${pdfText(str)}) Tj ET`);
+  const ensure = (space) => { if (y - space < margin) newPage(); };
+
+  newPage();
+  text("F2", 20, margin, title);
+  y -= 34;
+
+  if (menu.categories.length === 0) text("F1", 11, margin, "No services are available right now.");
+
+  for (const category of menu.categories) {
+    ensure(60);
+    text("F2", 14, margin, category.category_name);
+    y -= 18;
+    text("F2", 9, margin, "Service");
+    menu.sizes.forEach((s, i) => text("F2", 9, priceX(i), s.label));
+    y -= 4;
+    ops.push(`${margin} ${y} m ${width - margin} ${y} l 0.5 w S`);
+    y -= 12;
+
+    for (const item of category.items) {
+      ensure(16);
+      const name = item.name.length > 45 ? `${item.name.slice(0, 42)}...` : item.name;
+      text("F1", 10, margin, name);
+      menu.sizes.forEach((s, i) => text("F1", 10, priceX(i), formatPrice(item.prices[s.size])));
+      y -= 14;
+    }
+    y -= 12;
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3–4 fonts, then a page + content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 5 + i * 2);
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  pages.forEach((pageOps, i) => {
+    const stream = pageOps.join("\n");
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`
+    );
+    objects.push(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let body = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(body, "latin1");
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(body, "latin1");
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(body, "latin1");
+}
@@ -0,0 +1,187 @@
+// packages.js — service packages/bundles for services-service
+//
+// A package is a set of services sold together at its own per-size prices. Its availability and
+// stock deduction use the combined recipe of every service in it.
+import { recipeRequirements } from "./availability.js";
+
+export function registerPackageRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  availability,
+  resolvePublicBranch,
+  resolveVehicleVariant,
+  recordServiceApplication,
+  sizeColumns,
+}) {
+  const pickPackageFields = (body) => {
+    const fields = {};
+    for (const key of ["package_name", "description", "services_category_id", "active", ...sizeColumns]) {
+      if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+  };
+
+  // Replaces a package's services with service_ids
+  async function setPackageServices(packageId, serviceIds) {
+    const ids = [...new Set(serviceIds.map(Number))];
+
+    const { error: deleteError } = await supabase.from("service_package_items").delete().eq("package_id", packageId);
+    if (deleteError) throw deleteError;
+    if (ids.length === 0) return;
+
+    const { error } = await supabase
+      .from("service_package_items")
+      .insert(ids.map((serviceId) => ({ package_id: packageId, service_id: serviceId })));
+    if (error) throw error;
+  }
+
+  const loadPackage = async (id) => (await availability.loadPackages({ packageIds: [id] }))[0];
+
+  // GET packages with their services (?services_category_id=)
+  app.get("/api/packages", async (req, res) => {
+    try {
+      const { services_category_id } = req.query;
+      const packages = await availability.loadPackages(
+        services_category_id ? { categoryId: services_category_id } : {}
+      );
+      res.json(packages.map(({ service_products, ...pkg }) => pkg));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET one package with its combined recipe
+  app.get("/api/packages/:id", async (req, res) => {
+    try {
+      const pkg = await loadPackage(req.params.id);
+      if (!pkg) return res.status(404).json({ error: "Package not found" });
+      res.json(pkg);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /api/packages/:id/availability?branch_id= — per variant, like services
+  app.get("/api/packages/:id/availability", async (req, res) => {
+    try {
+      const pkg = await loadPackage(req.params.id);
+      if (!pkg) return res.status(404).json({ error: "Package not found" });
+
+      const branchId = await resolvePublicBranch(req);
+      const [result] = await availability.forServices([pkg], branchId);
+      res.json({ branch_id: branchId, ...result });
+    } catch (err) {
+      console.error("Package availability error:", err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST create package: { package_name, services_category_id, small…xxlarge, service_ids }
+  app.post("/api/packages", requirePermission("services:write"), async (req, res) => {
+    try {
+      const { package_name, service_ids = [] } = req.body;
+      if (!package_name) return res.status(400).json({ error: "package_name is required" });
+      if (!Array.isArray(service_ids)) return res.status(400).json({ error: "service_ids must be an array" });
+
+      const { data, error } = await supabase
+        .from("service_packages")
+        .insert([pickPackageFields(req.body)])
+        .select()
+        .single();
+      if (error) return res.status(400).json({ error: error.message });
+
+      await setPackageServices(data.package_id, service_ids);
+      res.status(201).json(await loadPackage(data.package_id));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // PUT update package; service_ids (if given) replaces its services
+  app.put("/api/packages/:id", requirePermission("services:write"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { service_ids } = req.body;
+      if (service_ids !== undefined && !Array.isArray(service_ids)) {
+        return res.status(400).json({ error: "service_ids must be an array" });
+      }
+
+      const fields = pickPackageFields(req.body);
+      if (Object.keys(fields).length > 0) {
+        const { data, error } = await supabase
+          .from("service_packages")
+          .update(fields)
+          .eq("package_id", id)
+          .select("package_id");
+        if (error) return res.status(400).json({ error: error.message });
+        if (!data.length) return res.status(404).json({ error: "Package not found" });
+      }
+
+      if (service_ids !== undefined) await setPackageServices(id, service_ids);
+
+      const pkg = await loadPackage(id);
+      if (!pkg) return res.status(404).json({ error: "Package not found" });
+      res.json(pkg);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE package; packages that have been applied can only be deactivated
+  app.delete("/api/packages/:id", requirePermission("services:write"), async (req, res) => {
+    const { error } = await supabase.from("service_packages").delete().eq("package_id", req.params.id);
+    if (error?.code === "23503") {
+      return res.status(409).json({ error: "Package has been applied before; set active to false instead" });
+    }
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ message: "Package deleted" });
+  });
+
+  // POST apply a package: deducts the combined recipe of its services in one transaction.
+  // Like services, takes vehicle_id or plate_number and then defaults to the vehicle's variant.
+  app.post("/api/packages/apply", requirePermission("services:apply"), withBranch(), async (req, res) => {
+    try {
+      const { package_id } = req.body;
+      const { vehicle, variantId: variant_id, error, status } = await resolveVehicleVariant(req.body);
+      if (error) return res.status(status).json({ message: error });
+
+      const pkg = await loadPackage(package_id);
+      if (!pkg) return res.status(404).json({ message: "Package not found" });
+      if (!pkg.active) return res.status(400).json({ message: "Package is not active" });
+
+      const requirements = recipeRequirements(
+        pkg.service_products.filter((sp) => String(sp.variant_id) === String(variant_id))
+      );
+
+      const { application, movements, shortages } = await recordServiceApplication({
+        branchId: req.branchId,
+        packageId: pkg.package_id,
+        variantId: variant_id,
+        vehicle,
+        userId: req.user.user_id,
+        items: requirements.map((r) => ({ product_id: r.product_id, change: -r.required })),
+        metadata: { performed_by: req.user.user_id ?? req.user.name },
+      });
+
+      if (shortages) {
+        const [first] = shortages;
+        return res.status(400).json({
+          message: `Not enough stock for ${first.product_name}. Current: ${first.in_stock}, Required: ${first.required}`,
+          shortages,
+        });
+      }
+
+      res.json({
+        message: movements.length
+          ? "✅ Package applied and stock deducted successfully"
+          : "Package applied. No inventory deduction needed.",
+        service_application_id: application.id,
+        deductions: movements,
+      });
+    } catch (err) {
+      console.error("Apply Package Error:", err);
+      res.status(500).json({ message: "Error applying package", error: err.message });
+    }
+  });
+}
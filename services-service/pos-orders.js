@@ -0,0 +1,343 @@
+// pos-orders.js — POS order ingestion for services-service
+//
+// Every service line of a POS order is mapped to a service and vehicle-size variant, and the
+// whole order is deducted by the ingest_pos_order function in one transaction. Orders arrive
+// by webhook (POST /api/pos/orders) or from the poller reading `orders` in the POS database;
+// both are idempotent on the POS order id.
+//
+// The poller only reads orders after its cursor (pos_sync_state), which starts when it is first
+// set up, so enabling it never replays old sales. Backfill on purpose with POST /api/pos/sync
+// { since }.
+
+// item_details is jsonb in newer POS rows and a JSON string in older ones
+export function parseItemDetails(itemDetails) {
+  if (!itemDetails) return [];
+  if (Array.isArray(itemDetails)) return itemDetails;
+  try {
+    const items = JSON.parse(itemDetails);
+    return Array.isArray(items) ? items : [];
+  } catch (err) {
+    console.error("Failed to parse item_details:", err.message);
+    return [];
+  }
+}
+
+// "X-Large", "xlarge" and "X Large" all compare equal
+const normalize = (value) => String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Maps POS service lines onto services (or packages) and variants. Lines carry ids when the POS
+// knows them, otherwise names: `name` is the service or package, and the size comes from
+// `variant`/`size`/`vehicle_size` or a suffix like "Basic Wash (Medium)" / "Basic Wash - Medium".
+export function mapServiceLines(items, { services, variants, packages = [] }) {
+  const servicesById = new Map(services.map((s) => [String(s.service_id), s]));
+  const servicesByName = new Map(services.map((s) => [normalize(s.service_name), s]));
+  const packagesById = new Map(packages.map((p) => [String(p.package_id), p]));
+  const packagesByName = new Map(packages.map((p) => [normalize(p.package_name), p]));
+  const findService = (name) =>
+    servicesByName.get(normalize(name)) ?? packagesByName.get(normalize(name));
+  const variantsById = new Map(variants.map((v) => [String(v.id), v]));
+  const variantsByName = new Map(variants.map((v) => [normalize(v.name), v]));
+
+  const lines = [];
+  const unmatched = [];
+
+  items.forEach((item, index) => {
+    if (item.type !== "service") return;
+
+    let service = servicesById.get(String(item.service_id))
+      ?? packagesById.get(String(item.package_id))
+      ?? findService(item.name);
+    let sizeName = item.variant ?? item.size ?? item.vehicle_size;
+
+    if (!service && item.name) {
+      const match = String(item.name).match(/^(.*?)\s*(?:\(([^)]+)\)|-\s*([^-]+))\s*$/);
+      if (match) {
+        service = findService(match[1]);
+        sizeName ??= match[2] ?? match[3];
+      }
+    }
+
+    const variant = variantsById.get(String(item.variant_id)) ?? variantsByName.get(normalize(sizeName));
+
+    if (!service || !variant) {
+      unmatched.push({
+        line: index,
+        name: item.name ?? null,
+        size: sizeName ?? null,
+        reason: !service ? "unknown_service" : "unknown_variant",
+      });
+      return;
+    }
+
+    lines.push({
+      line: index,
+      service_id: service.is_package ? null : service.service_id,
+      package_id: service.is_package ? service.package_id : null,
+      variant_id: variant.id,
+      quantity: Number(item.quantity) || 1,
+    });
+  });
+
+  return { lines, unmatched };
+}
+
+export function registerPosOrderRoutes(app, {
+  supabase,
+  posSupabase,
+  availability,
+  requirePermission,
+  hasPermission,
+  withBranch,
+  defaultBranch,
+  pollBatchSize = 100,
+}) {
+  // Services, variants and packages (with their combined recipes) to map lines against
+  async function loadCatalog() {
+    const [{ data: services, error: servicesError }, { data: variants, error: variantsError }, packages] = await Promise.all([
+      supabase.from("services").select("service_id, service_name"),
+      supabase.from("variants").select("id, name"),
+      availability.loadPackages(),
+    ]);
+    if (servicesError) throw servicesError;
+    if (variantsError) throw variantsError;
+    return { services, variants, packages };
+  }
+
+  // service_products of the single services this order sells
+  async function loadRecipes(lines) {
+    const serviceIds = [...new Set(lines.filter((l) => l.service_id !== null).map((l) => l.service_id))];
+    if (serviceIds.length === 0) return [];
+    const { data, error } = await supabase
+      .from("service_products")
+      .select("service_id, variant_id, product_id, quantity")
+      .in("service_id", serviceIds);
+    if (error) throw error;
+    return data;
+  }
+
+  // Maps and deducts one POS order. Returns the ingest_pos_order result.
+  async function ingestOrder({ posOrderId, items, branchId, source = "webhook", userId = null }) {
+    const catalog = await loadCatalog();
+    const { lines, unmatched } = mapServiceLines(items, catalog);
+    const recipes = await loadRecipes(lines);
+    const packages = new Map(catalog.packages.map((p) => [p.package_id, p]));
+
+    const withItems = lines.map((line) => {
+      const recipe = line.package_id !== null
+        ? packages.get(line.package_id).service_products
+        : recipes.filter((sp) => sp.service_id === line.service_id);
+      return {
+        ...line,
+        items: recipe
+          .filter((sp) => sp.variant_id === line.variant_id)
+          .map((sp) => ({ product_id: sp.product_id, change: -Number(sp.quantity) * line.quantity })),
+      };
+    });
+
+    const { data, error } = await supabase.rpc("ingest_pos_order", {
+      p_pos_order_id: String(posOrderId),
+      p_branch_id: branchId,
+      p_lines: withItems,
+      p_unmatched: unmatched,
+      p_source: source,
+      p_created_by: userId,
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  // Branch of a POS order: its own branch_id column if the POS has one, else the default branch
+  const orderBranch = async (order) => (order.branch_id ? Number(order.branch_id) : defaultBranch());
+
+  // Branch of a pushed order: the payload's branch_id, else the caller's own (API key or token),
+  // else the default branch. Only a different branch than the caller's own needs branches:all.
+  // Returns { branchId } or { status, message }.
+  async function webhookBranch(req) {
+    const own = req.user?.branch_id ?? null;
+    const requested = req.body.branch_id;
+    if (requested === undefined || requested === null || requested === "") {
+      return { branchId: own !== null ? Number(own) : await defaultBranch() };
+    }
+    if (!/^[1-9]\d*$/.test(String(requested))) return { status: 400, message: "branch_id must be a branch id" };
+    if (String(requested) !== String(own) && !hasPermission(req.user, "branches:all")) {
+      return { status: 403, message: "Access denied to this branch" };
+    }
+    return { branchId: Number(requested) };
+  }
+
+  const sendResult = (res, result) => {
+    if (result.status === "processed") return res.status(201).json({ message: "POS order ingested", ...result });
+    if (result.status === "duplicate") return res.json({ message: "POS order already ingested", ...result });
+    return res.status(result.error === "INSUFFICIENT_STOCK" ? 409 : 422).json({ message: "POS order not ingested", ...result });
+  };
+
+  // ================== POLLER ==================
+
+  let polling = false;
+
+  // Cursor = (created_at, id) of the last ingested order; a null id means "from last_order_at on"
+  const saveCursor = async (lastOrderAt, lastOrderId = null) => {
+    const { error } = await supabase
+      .from("pos_sync_state")
+      .upsert([{
+        source: "orders",
+        last_order_at: lastOrderAt,
+        last_order_id: lastOrderId === null ? null : String(lastOrderId),
+        updated_at: new Date().toISOString(),
+      }]);
+    if (error) throw error;
+  };
+
+  // Ingests POS orders after the cursor, in (created_at, id) order
+  async function pollOnce() {
+    if (polling) return { skipped: true };
+    polling = true;
+    try {
+      const { data: state, error: stateError } = await supabase
+        .from("pos_sync_state")
+        .select("last_order_at, last_order_id")
+        .eq("source", "orders")
+        .maybeSingle();
+      if (stateError) throw stateError;
+
+      // No cursor yet: start from now rather than from the first order the POS ever took
+      if (!state?.last_order_at) {
+        await saveCursor(new Date().toISOString());
+        return { fetched: 0, processed: 0, duplicate: 0, failed: 0, cursor_started: true };
+      }
+
+      const at = `"${state.last_order_at}"`;
+      let query = posSupabase
+        .from("orders")
+        .select("*")
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+        .limit(pollBatchSize);
+      query = !state.last_order_id
+        ? query.gte("created_at", state.last_order_at)
+        : query.or(`created_at.gt.${at},and(created_at.eq.${at},id.gt.${state.last_order_id})`);
+
+      const { data: orders, error } = await query;
+      if (error) throw error;
+
+      const summary = { fetched: orders.length, processed: 0, duplicate: 0, failed: 0 };
+      for (const order of orders) {
+        try {
+          const result = await ingestOrder({
+            posOrderId: order.id,
+            items: parseItemDetails(order.item_details),
+            branchId: await orderBranch(order),
+            source: "poller",
+          });
+          summary[result.status] += 1;
+        } catch (err) {
+          // Not recorded in pos_orders, so stop here and pick the order up again next poll
+          console.error(`POS order ${order.id} ingest error:`, err.message);
+          summary.error = err.message;
+          break;
+        }
+
+        await saveCursor(order.created_at, order.id);
+      }
+      return summary;
+    } finally {
+      polling = false;
+    }
+  }
+
+  function startPoller(intervalMs) {
+    const tick = () =>
+      pollOnce()
+        .then((summary) => {
+          if (summary.fetched) console.log("🔄 POS poll:", summary);
+        })
+        .catch((err) => console.error("POS poll error:", err.message));
+    tick();
+    return setInterval(tick, intervalMs);
+  }
+
+  // ================== ROUTES ==================
+
+  // POST ingest an order pushed by the POS: { pos_order_id | id, item_details | items, branch_id? }
+  app.post("/api/pos/orders", requirePermission("pos:ingest"), async (req, res) => {
+    try {
+      const posOrderId = req.body.pos_order_id ?? req.body.id;
+      if (posOrderId === undefined || posOrderId === null || posOrderId === "") {
+        return res.status(400).json({ message: "pos_order_id is required" });
+      }
+      const { branchId, status, message } = await webhookBranch(req);
+      if (status) return res.status(status).json({ message });
+
+      const result = await ingestOrder({
+        posOrderId,
+        items: parseItemDetails(req.body.item_details ?? req.body.items),
+        branchId,
+        userId: req.user.user_id,
+      });
+      sendResult(res, result);
+    } catch (err) {
+      console.error("POS ingest error:", err);
+      res.status(500).json({ message: "Error ingesting POS order", error: err.message });
+    }
+  });
+
+  // GET ingested orders (?status=processed|failed)
+  app.get("/api/pos/orders", requirePermission("services:apply"), withBranch({ allowAll: true }), async (req, res) => {
+    try {
+      let query = supabase
+        .from("pos_orders")
+        .select("*")
+        .order("received_at", { ascending: false })
+        .limit(500);
+      if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
+      if (req.query.status) query = query.eq("status", req.query.status);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST retry a failed order (e.g. after restocking or adding a missing service) from the POS database
+  app.post("/api/pos/orders/:pos_order_id/retry", requirePermission("pos:ingest"), async (req, res) => {
+    try {
+      const { data: order, error } = await posSupabase
+        .from("orders")
+        .select("*")
+        .eq("id", req.params.pos_order_id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!order) return res.status(404).json({ message: "Order not found in POS" });
+
+      const result = await ingestOrder({
+        posOrderId: order.id,
+        items: parseItemDetails(order.item_details),
+        branchId: await orderBranch(order),
+        userId: req.user.user_id,
+      });
+      sendResult(res, result);
+    } catch (err) {
+      console.error("POS retry error:", err);
+      res.status(500).json({ message: "Error retrying POS order", error: err.message });
+    }
+  });
+
+  // POST run one poll now. { since } first moves the cursor back to backfill orders from that
+  // time on purpose (already ingested orders come back as duplicates).
+  app.post("/api/pos/sync", requirePermission("pos:ingest"), async (req, res) => {
+    try {
+      if (req.body?.since !== undefined) {
+        const since = new Date(req.body.since);
+        if (Number.isNaN(since.getTime())) return res.status(400).json({ message: "since must be a date" });
+        await saveCursor(since.toISOString());
+      }
+      res.json(await pollOnce());
+    } catch (err) {
+      res.status(500).json({ message: "Error syncing POS orders", error: err.message });
+    }
+  });
+
+  return { ingestOrder, pollOnce, startPoller, loadCatalog };
+}
@@ -0,0 +1,146 @@
+// prices.js — price history and scheduled price changes for services-service
+//
+// Every change to a service's per-size prices is a service_prices row recording who made it and
+// when it takes effect. A row only sets the sizes in its `sizes`; each size's price at a time is
+// the latest row in force that sets it (service_prices_at), so a scheduled change to one size
+// never undoes a later change to another. services.small…xxlarge hold the prices in force for
+// the catalog; the scheduler brings them up to date once a scheduled row's time has passed.
+
+export function registerPriceRoutes(app, { supabase, requirePermission, sizeColumns }) {
+  const pickPrices = (body) =>
+    Object.fromEntries(sizeColumns.filter((size) => body[size] !== undefined).map((size) => [size, body[size]]));
+
+  // { small…xxlarge, effective_from } in force at `at`, or null if the service had no price yet
+  async function priceAt(serviceId, at = new Date()) {
+    const { data, error } = await supabase.rpc("service_prices_at", {
+      p_at: new Date(at).toISOString(),
+      p_service_id: Number(serviceId),
+    });
+    if (error) throw error;
+    return data[0] ?? null;
+  }
+
+  // Copies every price that has come into force onto services; returns how many changed
+  async function applyDuePrices() {
+    const { data, error } = await supabase.rpc("apply_due_service_prices");
+    if (error) throw error;
+    return data;
+  }
+
+  // Records a new price version setting only the sizes in `prices`; the others keep following
+  // whatever other versions set for them.
+  async function recordPriceChange(serviceId, prices, { effectiveFrom = new Date(), userId = null, note = null } = {}) {
+    const effective = new Date(effectiveFrom);
+    const sizes = sizeColumns.filter((size) => prices[size] !== undefined);
+
+    const row = { service_id: serviceId, effective_from: effective.toISOString(), note, created_by: userId, sizes };
+    for (const size of sizes) row[size] = prices[size];
+
+    const { data, error } = await supabase.from("service_prices").insert([row]).select().single();
+    if (error) throw error;
+
+    if (effective <= new Date()) await applyDuePrices();
+    return data;
+  }
+
+  function startScheduler(intervalMs) {
+    const tick = () =>
+      applyDuePrices()
+        .then((changed) => {
+          if (changed) console.log(`💲 Applied scheduled prices to ${changed} service(s)`);
+        })
+        .catch((err) => console.error("Price scheduler error:", err.message));
+    tick();
+    return setInterval(tick, intervalMs);
+  }
+
+  // Parses an optional date from a request; undefined stays undefined, junk is null
+  const parseDate = (value) => {
+    if (value === undefined || value === null || value === "") return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  // ================== ROUTES ==================
+
+  // GET price history, newest first, each marked scheduled / in_force / superseded. A past row is
+  // in force while it's still the latest to set one of its sizes; in_force_sizes lists which.
+  // Staff only: it names who made each change and shows scheduled prices before they're public.
+  app.get("/api/services/:id/prices", requirePermission("services:write"), async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("service_prices")
+        .select("*, created_by_user:users(full_name)")
+        .eq("service_id", req.params.id)
+        .order("effective_from", { ascending: false })
+        .order("id", { ascending: false });
+      if (error) throw error;
+
+      // Same order as service_prices_at, so the first past row setting a size is the one in force
+      const now = new Date();
+      const claimed = new Set();
+      res.json(data.map((row) => {
+        if (new Date(row.effective_from) > now) return { ...row, status: "scheduled", in_force_sizes: [] };
+        const inForceSizes = (row.sizes ?? sizeColumns).filter((size) => !claimed.has(size));
+        inForceSizes.forEach((size) => claimed.add(size));
+        return { ...row, status: inForceSizes.length > 0 ? "in_force" : "superseded", in_force_sizes: inForceSizes };
+      }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // POST a price change: { small…xxlarge, effective_from?, note? }. Without effective_from it
+  // applies immediately; a future effective_from schedules it.
+  app.post("/api/services/:id/prices", requirePermission("services:write"), async (req, res) => {
+    try {
+      const prices = pickPrices(req.body);
+      if (Object.keys(prices).length === 0) {
+        return res.status(400).json({ error: `At least one of ${sizeColumns.join(", ")} is required` });
+      }
+
+      const effectiveFrom = parseDate(req.body.effective_from);
+      if (effectiveFrom === null) return res.status(400).json({ error: "effective_from is not a valid date" });
+      if (effectiveFrom && effectiveFrom < new Date(Date.now() - 60 * 1000)) {
+        return res.status(400).json({ error: "effective_from cannot be in the past" });
+      }
+
+      const { data: service, error } = await supabase
+        .from("services")
+        .select("service_id")
+        .eq("service_id", req.params.id)
+        .maybeSingle();
+      if (error) throw error;
+      if (!service) return res.status(404).json({ error: "Service not found" });
+
+      const price = await recordPriceChange(service.service_id, prices, {
+        effectiveFrom: effectiveFrom ?? new Date(),
+        userId: req.user.user_id,
+        note: req.body.note ?? null,
+      });
+      res.status(201).json(price);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE cancel a scheduled price change (prices already in force are history)
+  app.delete("/api/services/:id/prices/:price_id", requirePermission("services:write"), async (req, res) => {
+    try {
+      const { data, error } = await supabase
+        .from("service_prices")
+        .delete()
+        .eq("id", req.params.price_id)
+        .eq("service_id", req.params.id)
+        .gt("effective_from", new Date().toISOString())
+        .select("id");
+      if (error) throw error;
+      if (!data.length) return res.status(409).json({ error: "Only scheduled price changes can be cancelled" });
+      res.json({ message: "Scheduled price change cancelled" });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return { priceAt, recordPriceChange, applyDuePrices, startScheduler, parseDate };
+}
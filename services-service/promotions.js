@@ -0,0 +1,377 @@
+// promotions.js — promotions, discount codes and redemptions for services-service
+//
+// A promotion takes a percentage or a fixed amount off one size price. It can be limited to some
+// services, packages or categories, to sizes, to a date range and to a weekly happy-hour window
+// (wall-clock time in PROMO_TIMEZONE), and capped by max_redemptions. Promotions without a code
+// apply automatically; a price lookup gets the single best discount, never a stack.
+
+const PROMOTION_FIELDS = [
+  "name", "code", "description", "discount_type", "discount_value",
+  "service_ids", "package_ids", "category_ids", "sizes",
+  "starts_at", "ends_at", "days_of_week", "start_time", "end_time",
+  "max_redemptions", "active",
+];
+
+// Rows per request when reading redemptions; at or under PostgREST's default max-rows
+const REPORT_PAGE_SIZE = 1000;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Weekday (0 = Sunday) and "HH:MM" of `at` on the wall clock in `timeZone`
+function localClock(at, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", { timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" })
+      .formatToParts(at)
+      .map((part) => [part.type, part.value])
+  );
+  return { day: WEEKDAYS.indexOf(parts.weekday), time: `${parts.hour}:${parts.minute}` };
+}
+
+export function promotionDiscount(promotion, basePrice) {
+  const base = Number(basePrice);
+  const raw = promotion.discount_type === "percent"
+    ? (base * Number(promotion.discount_value)) / 100
+    : Number(promotion.discount_value);
+  return Math.round(Math.min(raw, base) * 100) / 100;
+}
+
+// Why a promotion doesn't apply to this item at this moment, or null if it does
+export function promotionBlocker(promotion, { serviceId, packageId, categoryId, size, at, timeZone }) {
+  if (!promotion.active) return "inactive";
+  if (promotion.starts_at && new Date(promotion.starts_at) > at) return "not_started";
+  if (promotion.ends_at && new Date(promotion.ends_at) <= at) return "expired";
+
+  // Targeted promotions must name the item or its category; untargeted ones apply to everything
+  const includes = (ids, id) => id !== undefined && id !== null && (ids || []).map(String).includes(String(id));
+  if ([promotion.service_ids, promotion.package_ids, promotion.category_ids].some((ids) => ids?.length)) {
+    const itemMatches = packageId ? includes(promotion.package_ids, packageId) : includes(promotion.service_ids, serviceId);
+    if (!itemMatches && !includes(promotion.category_ids, categoryId)) return "not_applicable";
+  }
+  if (promotion.sizes?.length && !promotion.sizes.includes(size)) return "not_applicable";
+
+  if (promotion.days_of_week?.length || promotion.start_time) {
+    const { day, time } = localClock(at, timeZone);
+    if (promotion.days_of_week?.length && !promotion.days_of_week.includes(day)) return "outside_hours";
+    if (promotion.start_time) {
+      const start = promotion.start_time.slice(0, 5);
+      const end = promotion.end_time.slice(0, 5);
+      // A window like 22:00–02:00 runs past midnight
+      const inside = start <= end ? time >= start && time < end : time >= start || time < end;
+      if (!inside) return "outside_hours";
+    }
+  }
+  return null;
+}
+
+export function registerPromotionRoutes(app, {
+  supabase,
+  requirePermission,
+  withBranch,
+  lookupPrices,
+  sizeColumns,
+  timeZone = "UTC",
+}) {
+  const normalize = (value) => String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+  // "X-Large" / "xlarge" → "xlarge"; null for anything that isn't a size column
+  const toSize = (value) => sizeColumns.find((size) => size === normalize(value)) ?? null;
+
+  const pickPromotionFields = (body) => {
+    const fields = {};
+    for (const key of PROMOTION_FIELDS) if (body[key] !== undefined) fields[key] = body[key];
+    if (typeof fields.code === "string") fields.code = fields.code.trim().toUpperCase() || null;
+    if (Array.isArray(fields.sizes)) fields.sizes = fields.sizes.map(toSize);
+    return fields;
+  };
+
+  const validatePromotion = (fields, { partial = false } = {}) => {
+    if (!partial && !fields.name) return "name is required";
+    if (!partial && !fields.discount_type) return "discount_type is required";
+    if (fields.discount_type !== undefined && !["percent", "fixed"].includes(fields.discount_type)) {
+      return "discount_type must be percent or fixed";
+    }
+    if ((!partial || fields.discount_value !== undefined) && !(Number(fields.discount_value) > 0)) {
+      return "discount_value must be greater than 0";
+    }
+    if (fields.discount_type === "percent" && Number(fields.discount_value) > 100) {
+      return "A percent discount can't be more than 100";
+    }
+    if (fields.sizes?.includes(null)) return `sizes must be among ${sizeColumns.join(", ")}`;
+    if (fields.days_of_week?.some((day) => !(Number.isInteger(day) && day >= 0 && day <= 6))) {
+      return "days_of_week must be numbers 0 (Sunday) to 6 (Saturday)";
+    }
+    if ((fields.start_time === undefined) !== (fields.end_time === undefined)) {
+      return "start_time and end_time must be given together";
+    }
+    return null;
+  };
+
+  async function redemptionCount(promotionId) {
+    const { count, error } = await supabase
+      .from("promotion_redemptions")
+      .select("id", { count: "exact", head: true })
+      .eq("promotion_id", promotionId);
+    if (error) throw error;
+    return count;
+  }
+
+  const summarize = (promotion) => ({
+    id: promotion.id,
+    name: promotion.name,
+    code: promotion.code,
+    discount_type: promotion.discount_type,
+    discount_value: promotion.discount_value,
+  });
+
+  // Best discount for one size price. An unusable promo code doesn't fail the lookup: the
+  // automatic promotions still apply and the reason is returned in code_error.
+  async function quote({ serviceId, packageId, categoryId, size, basePrice, code, at = new Date() }) {
+    const { data: automatic, error } = await supabase
+      .from("promotions")
+      .select("*")
+      .eq("active", true)
+      .is("code", null);
+    if (error) throw error;
+
+    const candidates = automatic;
+    let codeError = null;
+    let codePromotion = null;
+    if (code) {
+      const { data, error: codeLookupError } = await supabase
+        .from("promotions")
+        .select("*")
+        .eq("code", String(code).trim().toUpperCase())
+        .maybeSingle();
+      if (codeLookupError) throw codeLookupError;
+      if (!data) codeError = "invalid_code";
+      else {
+        codePromotion = data;
+        candidates.push(data);
+      }
+    }
+
+    const item = { serviceId, packageId, categoryId, size, at, timeZone };
+    let best = null;
+    for (const promotion of candidates) {
+      let blocker = promotionBlocker(promotion, item);
+      if (!blocker && promotion.max_redemptions && (await redemptionCount(promotion.id)) >= promotion.max_redemptions) {
+        blocker = "limit_reached";
+      }
+      if (promotion === codePromotion) codeError = blocker;
+      if (blocker) continue;
+
+      const discount = promotionDiscount(promotion, basePrice);
+      if (!best || discount > best.discount) best = { promotion, discount };
+    }
+
+    const discount = best?.discount ?? 0;
+    return {
+      size,
+      base_price: Number(basePrice),
+      discount,
+      final_price: Math.round((Number(basePrice) - discount) * 100) / 100,
+      promotion: best ? summarize(best.promotion) : null,
+      code_error: codeError,
+    };
+  }
+
+  // ================== REPORT ==================
+
+  // GET redemptions per promotion (?from=&to=&promotion_id=). Redemptions are read a page at a
+  // time so totals aren't cut off by the API's row cap.
+  app.get("/api/promotions/redemptions/report", requirePermission("reports:view"), withBranch({ allowAll: true }), async (req, res) => {
+    try {
+      const { from, to, promotion_id } = req.query;
+      const data = [];
+      for (let offset = 0; ; offset += REPORT_PAGE_SIZE) {
+        let query = supabase
+          .from("promotion_redemptions")
+          .select("promotion_id, base_price, discount, final_price, created_at, promotion:promotions(name, code)")
+          .order("created_at", { ascending: true })
+          .order("id", { ascending: true })
+          .range(offset, offset + REPORT_PAGE_SIZE - 1);
+        if (req.branchId !== null) query = query.eq("branch_id", req.branchId);
+        if (promotion_id) query = query.eq("promotion_id", promotion_id);
+        if (from) query = query.gte("created_at", from);
+        if (to) query = query.lt("created_at", to);
+
+        const { data: page, error } = await query;
+        if (error) throw error;
+        data.push(...page);
+        if (page.length < REPORT_PAGE_SIZE) break;
+      }
+
+      const byPromotion = {};
+      for (const row of data) {
+        const entry = (byPromotion[row.promotion_id] ??= {
+          promotion_id: row.promotion_id,
+          name: row.promotion?.name ?? null,
+          code: row.promotion?.code ?? null,
+          redemptions: 0,
+          gross_sales: 0,
+          total_discount: 0,
+          net_sales: 0,
+          first_redeemed_at: row.created_at,
+          last_redeemed_at: row.created_at,
+        });
+        entry.redemptions += 1;
+        entry.gross_sales += Number(row.base_price);
+        entry.total_discount += Number(row.discount);
+        entry.net_sales += Number(row.final_price);
+        entry.last_redeemed_at = row.created_at;
+      }
+
+      const promotions = Object.values(byPromotion).sort((a, b) => b.total_discount - a.total_discount);
+      res.json({
+        branch_id: req.branchId,
+        from: from ?? null,
+        to: to ?? null,
+        totals: {
+          redemptions: data.length,
+          total_discount: promotions.reduce((sum, p) => sum + p.total_discount, 0),
+          net_sales: promotions.reduce((sum, p) => sum + p.net_sales, 0),
+        },
+        promotions,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ================== REDEMPTION ==================
+
+  // POST redeem a promotion on a sale: { promo_code?, service_id | package_id, size, reference? }.
+  // Applies the same best discount as the price lookup and counts it against max_redemptions.
+  app.post("/api/promotions/redeem", requirePermission("services:apply"), withBranch(), async (req, res) => {
+    try {
+      const { promo_code, service_id, package_id, reference } = req.body;
+      const size = toSize(req.body.size);
+      if (!size) return res.status(400).json({ message: `size must be one of ${sizeColumns.join(", ")}` });
+
+      const item = await lookupPrices({ serviceId: service_id, packageId: package_id, branchId: req.branchId });
+      if (!item?.prices) return res.status(404).json({ message: package_id ? "Package not found" : "Service not found" });
+      if (item.prices[size] === null || item.prices[size] === undefined) {
+        return res.status(400).json({ message: `No ${size} price set` });
+      }
+
+      const result = await quote({
+        serviceId: service_id,
+        packageId: package_id,
+        categoryId: item.services_category_id,
+        size,
+        basePrice: item.prices[size],
+        code: promo_code,
+      });
+      if (promo_code && result.code_error) {
+        return res.status(400).json({ message: `Promo code can't be used (${result.code_error})`, ...result });
+      }
+      if (!result.promotion) return res.status(400).json({ message: "No promotion applies", ...result });
+
+      const { data, error } = await supabase.rpc("redeem_promotion", {
+        p_promotion_id: result.promotion.id,
+        p_redemption: {
+          code: result.promotion.code,
+          branch_id: req.branchId,
+          service_id: package_id ? null : service_id,
+          package_id: package_id ?? null,
+          size,
+          base_price: result.base_price,
+          discount: result.discount,
+          final_price: result.final_price,
+          reference: reference ?? null,
+          redeemed_by: req.user.user_id,
+        },
+      });
+      if (error?.message === "PROMOTION_LIMIT_REACHED") {
+        return res.status(409).json({ message: "This promotion has reached its usage limit" });
+      }
+      if (error) throw error;
+
+      res.status(201).json({ message: "Promotion redeemed", ...result, redemption: data });
+    } catch (err) {
+      console.error("Redeem promotion error:", err);
+      res.status(500).json({ message: "Error redeeming promotion", error: err.message });
+    }
+  });
+
+  // ================== ADMIN CRUD ==================
+
+  // GET promotions with how often each has been used (?active=true|false)
+  app.get("/api/promotions", requirePermission("promotions:manage"), async (req, res) => {
+    try {
+      let query = supabase.from("promotions").select("*").order("created_at", { ascending: false });
+      if (req.query.active !== undefined) query = query.eq("active", req.query.active === "true");
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      const counts = await Promise.all(data.map((promotion) => redemptionCount(promotion.id)));
+      res.json(data.map((promotion, i) => ({ ...promotion, redemptions: counts[i] })));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get("/api/promotions/:id", requirePermission("promotions:manage"), async (req, res) => {
+    try {
+      const { data, error } = await supabase.from("promotions").select("*").eq("id", req.params.id).maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(404).json({ error: "Promotion not found" });
+      res.json({ ...data, redemptions: await redemptionCount(data.id) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.post("/api/promotions", requirePermission("promotions:manage"), async (req, res) => {
+    try {
+      const fields = pickPromotionFields(req.body);
+      const invalid = validatePromotion(fields);
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { data, error } = await supabase
+        .from("promotions")
+        .insert([{ ...fields, created_by: req.user.user_id }])
+        .select()
+        .single();
+      if (error?.code === "23505") return res.status(409).json({ error: "That promo code is already in use" });
+      if (error) return res.status(400).json({ error: error.message });
+      res.status(201).json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.put("/api/promotions/:id", requirePermission("promotions:manage"), async (req, res) => {
+    try {
+      const fields = pickPromotionFields(req.body);
+      const invalid = validatePromotion(fields, { partial: true });
+      if (invalid) return res.status(400).json({ error: invalid });
+
+      const { data, error } = await supabase
+        .from("promotions")
+        .update(fields)
+        .eq("id", req.params.id)
+        .select()
+        .maybeSingle();
+      if (error?.code === "23505") return res.status(409).json({ error: "That promo code is already in use" });
+      if (error) return res.status(400).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Promotion not found" });
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE promotion; redeemed promotions stay for the report and can only be deactivated
+  app.delete("/api/promotions/:id", requirePermission("promotions:manage"), async (req, res) => {
+    const { error } = await supabase.from("promotions").delete().eq("id", req.params.id);
+    if (error?.code === "23503") {
+      return res.status(409).json({ error: "Promotion has been redeemed; set active to false instead" });
+    }
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ message: "Promotion deleted" });
+  });
+
+  return { quote, toSize };
+}
@@ -0,0 +1,266 @@
+// top-services.js — top-selling services report from POS orders for services-service
+//
+// POS lines are matched to our services/packages and variants the same way ingestion does
+// (see pos-orders.js), so counts and revenue roll up per service rather than per free-text name.
+// Orders are read one page at a time for the requested range only and folded into running
+// totals, so a report never holds more than a page of orders in memory.
+//
+// The POS may not record branches. Unless a branch column is configured, an order's branch is
+// the one ingestion resolved for it (pos_orders.branch_id), or the default branch for orders not
+// ingested yet — the same branch the poller will give them.
+import { parseItemDetails, mapServiceLines } from "./pos-orders.js";
+import { wallClock } from "./appointments.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const GROUPS = ["day", "week", "month", "size"];
+
+// Revenue of one POS line: its own total if the POS sent one, else unit price × quantity
+export function lineRevenue(item) {
+  const quantity = Number(item.quantity) || 1;
+  const total = item.total ?? item.subtotal ?? item.line_total;
+  if (total !== undefined && total !== null && !Number.isNaN(Number(total))) return Number(total);
+  return (Number(item.price) || 0) * quantity;
+}
+
+// Bucket label of an instant: day "2026-10-19", week "2026-10-19" (its Monday), month "2026-10"
+export function periodOf(at, period, timeZone) {
+  const { date, day } = wallClock(at, timeZone);
+  if (period === "month") return date.slice(0, 7);
+  if (period === "week") {
+    const [y, m, d] = date.split("-").map(Number);
+    const monday = new Date(Date.UTC(y, m - 1, d) - ((day + 6) % 7) * DAY);
+    return monday.toISOString().slice(0, 10);
+  }
+  return date;
+}
+
+const percentChange = (current, previous) =>
+  previous ? Math.round(((current - previous) / previous) * 10000) / 100 : null;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+export function registerTopServicesRoute(app, {
+  supabase,
+  posSupabase,
+  requirePermission,
+  withBranch,
+  loadCatalog,
+  defaultBranch,
+  timeZone = "UTC",
+  pageSize = 1000,
+  dateColumn = "created_at",
+  branchColumn = "",
+  cashierColumn = "cashier_id",
+}) {
+  // Orders of a POS page that belong to branchId, by their ingested branch (see above)
+  async function inBranch(orders, branchId, fallback) {
+    const branches = new Map();
+    // Looked up in chunks to keep the id list within URL limits
+    for (let start = 0; start < orders.length; start += 200) {
+      const { data: ingested, error } = await supabase
+        .from("pos_orders")
+        .select("pos_order_id, branch_id")
+        .in("pos_order_id", orders.slice(start, start + 200).map((order) => String(order.id)));
+      if (error) throw error;
+      for (const row of ingested) branches.set(row.pos_order_id, row.branch_id);
+    }
+    return orders.filter((order) => String(branches.get(String(order.id)) ?? fallback) === String(branchId));
+  }
+
+  // Folds every POS order in [from, to) into per-key totals, one page at a time
+  async function aggregate({ from, to, branchId, cashier, groupBy, catalog }) {
+    const period = groupBy.find((g) => g !== "size");
+    const bySize = groupBy.includes("size");
+    const variantNames = new Map(catalog.variants.map((v) => [v.id, v.name]));
+    const serviceNames = new Map(catalog.services.map((s) => [s.service_id, s.service_name]));
+    const packageNames = new Map(catalog.packages.map((p) => [p.package_id, p.package_name]));
+
+    const rows = new Map();
+    const unmatched = new Map();
+    const totals = { orders: 0, quantity: 0, revenue: 0 };
+    const byIngestedBranch = branchId !== null && !branchColumn;
+    const fallbackBranch = byIngestedBranch ? await defaultBranch() : null;
+
+    for (let offset = 0; ; offset += pageSize) {
+      let query = posSupabase
+        .from("orders")
+        .select(`id, ${dateColumn}, item_details`)
+        .gte(dateColumn, from.toISOString())
+        .lt(dateColumn, to.toISOString())
+        .order(dateColumn, { ascending: true })
+        .order("id", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+      if (branchId !== null && branchColumn) query = query.eq(branchColumn, branchId);
+      if (cashier && cashierColumn) query = query.eq(cashierColumn, cashier);
+
+      const { data: page, error } = await query;
+      if (error) throw error;
+      const orders = byIngestedBranch ? await inBranch(page, branchId, fallbackBranch) : page;
+
+      for (const order of orders) {
+        const items = parseItemDetails(order.item_details);
+        const { lines, unmatched: missed } = mapServiceLines(items, catalog);
+        if (lines.length > 0) totals.orders += 1;
+
+        for (const line of lines) {
+          const revenue = lineRevenue(items[line.line]);
+          const bucket = period ? periodOf(new Date(order[dateColumn]), period, timeZone) : null;
+          const key = [line.service_id, line.package_id, bySize ? line.variant_id : "", bucket ?? ""].join("|");
+
+          const row = rows.get(key) ?? {
+            service_id: line.service_id,
+            package_id: line.package_id,
+            service_name: line.package_id ? packageNames.get(line.package_id) : serviceNames.get(line.service_id),
+            ...(bySize ? { variant_id: line.variant_id, variant_name: variantNames.get(line.variant_id) ?? null } : {}),
+            ...(period ? { period: bucket } : {}),
+            quantity: 0,
+            revenue: 0,
+            orders: 0,
+            lastOrder: null,
+          };
+          row.quantity += line.quantity;
+          row.revenue += revenue;
+          if (row.lastOrder !== order.id) row.orders += 1;
+          row.lastOrder = order.id;
+          rows.set(key, row);
+
+          totals.quantity += line.quantity;
+          totals.revenue += revenue;
+        }
+
+        for (const miss of missed) {
+          const item = items[miss.line];
+          const entry = unmatched.get(miss.name) ?? { name: miss.name, reason: miss.reason, quantity: 0, revenue: 0 };
+          entry.quantity += Number(item.quantity) || 1;
+          entry.revenue += lineRevenue(item);
+          unmatched.set(miss.name, entry);
+        }
+      }
+
+      if (page.length < pageSize) break;
+    }
+
+    return {
+      totals: { ...totals, revenue: round2(totals.revenue) },
+      rows: [...rows.values()].map(({ lastOrder, ...row }) => ({
+        ...row,
+        revenue: round2(row.revenue),
+        // Older dashboards read total_orders as the unit count
+        total_orders: row.quantity,
+      })),
+      unmatched: [...unmatched.values()].map((u) => ({ ...u, revenue: round2(u.revenue) })),
+    };
+  }
+
+  // Per service (and size) totals across all periods, for comparing two ranges
+  const rollUp = (rows) => {
+    const byKey = new Map();
+    for (const row of rows) {
+      const key = [row.service_id, row.package_id, row.variant_id ?? ""].join("|");
+      const entry = byKey.get(key) ?? {
+        service_id: row.service_id,
+        package_id: row.package_id,
+        service_name: row.service_name,
+        ...(row.variant_id !== undefined ? { variant_id: row.variant_id, variant_name: row.variant_name } : {}),
+        quantity: 0,
+        revenue: 0,
+      };
+      entry.quantity += row.quantity;
+      entry.revenue = round2(entry.revenue + row.revenue);
+      byKey.set(key, entry);
+    }
+    return byKey;
+  };
+
+  const parseDate = (value) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  };
+
+  // GET /api/reports/top-services?from=&to=&branch_id=&cashier=&group_by=day|week|month,size
+  //   &sort=revenue|quantity&limit=&compare=previous_period (or compare_from=&compare_to=)
+  // Range defaults to the last 30 days; `to` is exclusive.
+  app.get("/api/reports/top-services", requirePermission("reports:view"), withBranch({ allowAll: true }), async (req, res) => {
+    try {
+      const to = parseDate(req.query.to) ?? new Date();
+      const from = parseDate(req.query.from) ?? new Date(to.getTime() - 30 * DAY);
+      if (from === null || to === null || from >= to) {
+        return res.status(400).json({ error: "from and to must be dates with from before to" });
+      }
+
+      const groupBy = req.query.group_by ? String(req.query.group_by).split(",").map((g) => g.trim()) : [];
+      if (groupBy.some((g) => !GROUPS.includes(g)) || groupBy.filter((g) => g !== "size").length > 1) {
+        return res.status(400).json({ error: "group_by takes one of day, week, month, optionally with size" });
+      }
+
+      const sort = req.query.sort === "quantity" ? "quantity" : "revenue";
+      const limit = Number(req.query.limit) || null;
+      const filters = { branchId: req.branchId, cashier: req.query.cashier || null, groupBy };
+      const catalog = await loadCatalog();
+
+      const current = await aggregate({ ...filters, from, to, catalog });
+      const bySort = (a, b) => b[sort] - a[sort] || (a.period ?? "").localeCompare(b.period ?? "");
+      const rows = current.rows.sort(bySort);
+
+      const report = {
+        source: "POS",
+        report: "Top Selling Services",
+        from: from.toISOString(),
+        to: to.toISOString(),
+        branch_id: req.branchId,
+        cashier: filters.cashier,
+        group_by: groupBy,
+        sort,
+        totals: current.totals,
+        data: limit ? rows.slice(0, limit) : rows,
+        unmatched: current.unmatched.sort((a, b) => b.quantity - a.quantity),
+      };
+
+      // Period over period: the same length of time straight before `from`, or an explicit range
+      const compareFrom = parseDate(req.query.compare_from);
+      const compareTo = parseDate(req.query.compare_to);
+      if (req.query.compare === "previous_period" || compareFrom || compareTo) {
+        if (compareFrom === null || compareTo === null) return res.status(400).json({ error: "compare_from and compare_to must be dates" });
+        const previousTo = compareTo ?? from;
+        const previousFrom = compareFrom ?? new Date(previousTo.getTime() - (to.getTime() - from.getTime()));
+
+        const previous = await aggregate({ ...filters, groupBy: groupBy.filter((g) => g === "size"), from: previousFrom, to: previousTo, catalog });
+        const previousByKey = rollUp(previous.rows);
+        const currentByKey = rollUp(current.rows);
+
+        const services = [...new Set([...currentByKey.keys(), ...previousByKey.keys()])].map((key) => {
+          const now = currentByKey.get(key);
+          const before = previousByKey.get(key);
+          const base = now ?? before;
+          return {
+            ...base,
+            quantity: now?.quantity ?? 0,
+            revenue: now?.revenue ?? 0,
+            previous_quantity: before?.quantity ?? 0,
+            previous_revenue: before?.revenue ?? 0,
+            quantity_change_pct: percentChange(now?.quantity ?? 0, before?.quantity ?? 0),
+            revenue_change_pct: percentChange(now?.revenue ?? 0, before?.revenue ?? 0),
+          };
+        }).sort((a, b) => b[sort] - a[sort]);
+
+        report.comparison = {
+          from: previousFrom.toISOString(),
+          to: previousTo.toISOString(),
+          totals: previous.totals,
+          change: {
+            orders_pct: percentChange(current.totals.orders, previous.totals.orders),
+            quantity_pct: percentChange(current.totals.quantity, previous.totals.quantity),
+            revenue_pct: percentChange(current.totals.revenue, previous.totals.revenue),
+          },
+          services: limit ? services.slice(0, limit) : services,
+        };
+      }
+
+      res.json(report);
+    } catch (err) {
+      console.error(err.message);
+      res.status(500).json({ error: "Failed to fetch top services", details: err.message });
+    }
+  });
+}
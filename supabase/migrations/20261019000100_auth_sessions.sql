@@ -0,0 +1,15 @@
+-- Login sessions backing rotating refresh tokens (users-service)
+create table if not exists auth_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id bigint not null references users(id) on delete cascade,
+  refresh_token_hash text not null,
+  previous_refresh_token_hash text,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  user_agent text,
+  ip_address text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists auth_sessions_user_id_idx on auth_sessions (user_id);
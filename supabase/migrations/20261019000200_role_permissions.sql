@@ -0,0 +1,19 @@
+-- Role → permission mappings enforced by auth.js in every service
+create table if not exists role_permissions (
+  role_id bigint not null references roles(id) on delete cascade,
+  permission text not null,
+  created_at timestamptz not null default now(),
+  primary key (role_id, permission)
+);
+
+-- Preserve today's behaviour: admins can do everything, staff can requisition and run services
+insert into role_permissions (role_id, permission)
+select id, '*' from roles where name = 'admin'
+on conflict do nothing;
+
+insert into role_permissions (role_id, permission)
+select r.id, p.permission
+from roles r
+cross join (values ('requisitions:create'), ('services:apply'), ('inventory:adjust')) as p(permission)
+where r.name in ('user', 'employee')
+on conflict do nothing;
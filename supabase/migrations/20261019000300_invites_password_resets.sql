@@ -0,0 +1,26 @@
+-- Single-use invitation links (users-service /invites)
+create table if not exists user_invites (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  full_name text,
+  role_id bigint not null references roles(id),
+  token_hash text not null unique,
+  invited_by bigint references users(id) on delete set null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_invites_email_idx on user_invites (email);
+
+-- Single-use password reset links (users-service /password/*)
+create table if not exists password_resets (
+  id uuid primary key default gen_random_uuid(),
+  user_id bigint not null references users(id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  requested_ip text,
+  created_at timestamptz not null default now()
+);
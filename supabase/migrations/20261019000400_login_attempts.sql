@@ -0,0 +1,45 @@
+-- Login auditing and lockout state (users-service /login)
+alter table users
+  add column if not exists failed_login_count integer not null default 0,
+  add column if not exists locked_until timestamptz,
+  add column if not exists last_login_at timestamptz;
+
+create table if not exists login_attempts (
+  id bigint generated always as identity primary key,
+  user_id bigint references users(id) on delete set null,
+  email text,
+  ip_address text,
+  user_agent text,
+  success boolean not null,
+  failure_reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists login_attempts_user_id_idx on login_attempts (user_id, created_at desc);
+create index if not exists login_attempts_ip_idx on login_attempts (ip_address, created_at desc);
+
+-- Atomically counts a failure; every p_max_attempts-th failure locks the account,
+-- doubling the lock each time (capped at one day). Returns the new locked_until, if any.
+create or replace function register_login_failure(p_user_id bigint, p_max_attempts integer, p_lockout_minutes integer)
+returns timestamptz
+language plpgsql
+as $$
+declare
+  v_count integer;
+  v_locked_until timestamptz;
+begin
+  update users
+     set failed_login_count = failed_login_count + 1
+   where id = p_user_id
+  returning failed_login_count into v_count;
+
+  if v_count is not null and v_count % p_max_attempts = 0 then
+    v_locked_until := now() + make_interval(
+      mins => least(p_lockout_minutes * power(2, v_count / p_max_attempts - 1), 1440)::integer
+    );
+    update users set locked_until = v_locked_until where id = p_user_id;
+  end if;
+
+  return v_locked_until;
+end;
+$$;
@@ -0,0 +1,2 @@
+-- Contact number editable through users-service PATCH /me
+alter table users add column if not exists phone text;
@@ -0,0 +1,13 @@
+-- Machine credentials for POS and integrations (issued by users-service /api-keys)
+create table if not exists api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  key_prefix text not null unique,
+  key_hash text not null,
+  permissions text[] not null default '{}',
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_by bigint references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
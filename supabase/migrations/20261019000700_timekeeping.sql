@@ -0,0 +1,33 @@
+-- Staff shifts, breaks and admin corrections (users-service timekeeping)
+create table if not exists shifts (
+  id bigint generated always as identity primary key,
+  user_id bigint not null references users(id),
+  clock_in timestamptz not null,
+  clock_out timestamptz,
+  notes text,
+  created_at timestamptz not null default now(),
+  constraint shifts_clock_order check (clock_out is null or clock_out > clock_in)
+);
+
+-- At most one open shift per user
+create unique index if not exists shifts_one_open_per_user on shifts (user_id) where clock_out is null;
+create index if not exists shifts_clock_in_idx on shifts (clock_in);
+
+create table if not exists shift_breaks (
+  id bigint generated always as identity primary key,
+  shift_id bigint not null references shifts(id) on delete cascade,
+  started_at timestamptz not null,
+  ended_at timestamptz
+);
+
+create table if not exists shift_corrections (
+  id bigint generated always as identity primary key,
+  shift_id bigint not null references shifts(id) on delete cascade,
+  corrected_by bigint references users(id) on delete set null,
+  reason text not null,
+  previous_clock_in timestamptz,
+  previous_clock_out timestamptz,
+  new_clock_in timestamptz,
+  new_clock_out timestamptz,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,76 @@
+-- Multi-branch support: branches, staff assignment, per-branch stock and service prices
+create table if not exists branches (
+  id bigint generated always as identity primary key,
+  name text not null unique,
+  address text,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+insert into branches (name) values ('Main') on conflict (name) do nothing;
+
+create table if not exists user_branches (
+  user_id bigint not null references users(id) on delete cascade,
+  branch_id bigint not null references branches(id) on delete cascade,
+  is_default boolean not null default false,
+  primary key (user_id, branch_id)
+);
+
+create unique index if not exists user_branches_one_default on user_branches (user_id) where is_default;
+
+insert into user_branches (user_id, branch_id, is_default)
+select u.id, b.id, true from users u cross join branches b where b.name = 'Main'
+on conflict do nothing;
+
+-- Stock lives per branch; products.stock / products.reorder_level are no longer read
+create table if not exists branch_stock (
+  branch_id bigint not null references branches(id) on delete cascade,
+  product_id bigint not null references products(product_id) on delete cascade,
+  stock numeric not null default 0,
+  reorder_level numeric not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (branch_id, product_id)
+);
+
+insert into branch_stock (branch_id, product_id, stock, reorder_level)
+select b.id, p.product_id, coalesce(p.stock, 0), coalesce(p.reorder_level, 0)
+from products p cross join branches b where b.name = 'Main'
+on conflict do nothing;
+
+-- Per-branch overrides of the size prices on services (null = use the service's price)
+create table if not exists service_branch_prices (
+  service_id bigint not null references services(service_id) on delete cascade,
+  branch_id bigint not null references branches(id) on delete cascade,
+  small numeric,
+  medium numeric,
+  large numeric,
+  xlarge numeric,
+  xxlarge numeric,
+  primary key (service_id, branch_id)
+);
+
+-- Branch ownership of transactional rows; existing history belongs to Main
+alter table purchases add column if not exists branch_id bigint references branches(id);
+alter table purchase_requisitions add column if not exists branch_id bigint references branches(id);
+alter table inventory_logs add column if not exists branch_id bigint references branches(id);
+alter table auth_sessions add column if not exists branch_id bigint references branches(id);
+alter table api_keys add column if not exists branch_id bigint references branches(id);
+
+update purchases set branch_id = (select id from branches where name = 'Main') where branch_id is null;
+update purchase_requisitions set branch_id = (select id from branches where name = 'Main') where branch_id is null;
+update inventory_logs set branch_id = (select id from branches where name = 'Main') where branch_id is null;
+
+-- Atomic stock change for one product at one branch; returns the new stock
+create or replace function adjust_branch_stock(p_branch_id bigint, p_product_id bigint, p_change numeric)
+returns numeric
+language sql
+as $$
+  insert into branch_stock (branch_id, product_id, stock)
+  values (p_branch_id, p_product_id, p_change)
+  on conflict (branch_id, product_id)
+  do update set stock = branch_stock.stock + excluded.stock, updated_at = now()
+  returning stock;
+$$;
+
+-- Branch the invitee is assigned to on acceptance
+alter table user_invites add column if not exists branch_id bigint references branches(id);
@@ -0,0 +1,4 @@
+-- Soft deletion of users (users-service DELETE /users/:id)
+alter table users
+  add column if not exists deleted_at timestamptz,
+  add column if not exists deleted_by bigint references users(id) on delete set null;
@@ -0,0 +1,16 @@
+-- One row per performed service (services-service /api/service-products/apply);
+-- its stock deductions are the inventory_logs rows with ref_table = 'service_applications'.
+create table if not exists service_applications (
+  id bigint generated always as identity primary key,
+  branch_id bigint not null references branches(id),
+  service_id bigint not null references services(service_id),
+  variant_id bigint,
+  performed_by bigint references users(id) on delete set null,
+  status text not null default 'applied' check (status in ('applied', 'voided')),
+  void_reason text,
+  voided_by bigint references users(id) on delete set null,
+  voided_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists service_applications_branch_idx on service_applications (branch_id, created_at desc);
@@ -0,0 +1,135 @@
+-- POS orders ingested by services-service (webhook or poller). pos_order_id is the POS's own
+-- order id and is unique, so a retried webhook or a re-run poll can never deduct twice.
+create table if not exists pos_orders (
+  id bigint generated always as identity primary key,
+  pos_order_id text not null unique,
+  branch_id bigint references branches(id),
+  status text not null check (status in ('processing', 'processed', 'failed')),
+  source text not null default 'webhook' check (source in ('webhook', 'poller')),
+  lines jsonb not null default '[]'::jsonb,
+  error text,
+  details jsonb,
+  attempts int not null default 1,
+  received_at timestamptz not null default now(),
+  last_attempt_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists pos_orders_status_idx on pos_orders (status, received_at desc);
+
+-- A POS line can sell the same service more than once
+alter table service_applications add column if not exists quantity numeric not null default 1;
+alter table service_applications add column if not exists pos_order_id bigint references pos_orders(id);
+
+-- Poller cursor (one row per POS source)
+create table if not exists pos_sync_state (
+  source text primary key,
+  last_order_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- Ingests one POS order in a single transaction.
+--
+-- p_lines: [{ service_id, variant_id, quantity, items: [{ product_id, change }] }] — already mapped
+-- to services/variants with the recipe deductions worked out. p_unmatched lists POS lines that
+-- could not be mapped; if there are any nothing is deducted and the order is marked failed.
+-- Each line becomes a service_applications row whose deductions go through apply_stock_movements;
+-- if any product is short every line is rolled back and the order is marked failed with the
+-- shortages. Failed orders are retried by ingesting the same pos_order_id again.
+-- Returns { status: 'processed' | 'duplicate' | 'failed', pos_order, applications, error, details }.
+create or replace function ingest_pos_order(
+  p_pos_order_id text,
+  p_branch_id bigint,
+  p_lines jsonb,
+  p_unmatched jsonb default '[]'::jsonb,
+  p_source text default 'webhook',
+  p_created_by bigint default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order pos_orders;
+  v_line jsonb;
+  v_app_id bigint;
+  v_applications jsonb := '[]'::jsonb;
+  v_detail text;
+begin
+  insert into pos_orders (pos_order_id, branch_id, status, source, lines)
+  values (p_pos_order_id, p_branch_id, 'processing', p_source, p_lines)
+  on conflict (pos_order_id) do nothing
+  returning * into v_order;
+
+  -- Already seen: a concurrent ingest of the same order waits here until the first commits
+  if v_order.id is null then
+    select * into v_order from pos_orders where pos_order_id = p_pos_order_id for update;
+    if v_order.status = 'processed' then
+      return jsonb_build_object('status', 'duplicate', 'pos_order', to_jsonb(v_order));
+    end if;
+
+    update pos_orders
+       set branch_id = p_branch_id, status = 'processing', source = p_source, lines = p_lines,
+           error = null, details = null, attempts = attempts + 1, last_attempt_at = now()
+     where id = v_order.id;
+  end if;
+
+  if jsonb_array_length(p_unmatched) > 0 then
+    update pos_orders
+       set status = 'failed', error = 'UNMATCHED_LINES', details = p_unmatched
+     where id = v_order.id
+    returning * into v_order;
+    return jsonb_build_object('status', 'failed', 'pos_order', to_jsonb(v_order), 'error', 'UNMATCHED_LINES', 'details', p_unmatched);
+  end if;
+
+  begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+      insert into service_applications (branch_id, service_id, variant_id, quantity, performed_by, pos_order_id)
+      values (
+        p_branch_id,
+        (v_line->>'service_id')::bigint,
+        (v_line->>'variant_id')::bigint,
+        coalesce((v_line->>'quantity')::numeric, 1),
+        p_created_by,
+        v_order.id
+      )
+      returning id into v_app_id;
+
+      if jsonb_array_length(coalesce(v_line->'items', '[]'::jsonb)) > 0 then
+        perform apply_stock_movements(
+          p_branch_id, v_line->'items', 'SERVICE_APPLIED', 'service_applications', v_app_id, p_created_by,
+          jsonb_build_object(
+            'service_application_id', v_app_id,
+            'service_id', v_line->'service_id',
+            'variant_id', v_line->'variant_id',
+            'pos_order_id', p_pos_order_id
+          )
+        );
+      end if;
+
+      v_applications := v_applications || jsonb_build_object(
+        'service_application_id', v_app_id,
+        'service_id', v_line->'service_id',
+        'variant_id', v_line->'variant_id',
+        'quantity', coalesce((v_line->>'quantity')::numeric, 1)
+      );
+    end loop;
+  exception when raise_exception then
+    if sqlerrm <> 'INSUFFICIENT_STOCK' then
+      raise;
+    end if;
+    get stacked diagnostics v_detail = pg_exception_detail;
+    update pos_orders
+       set status = 'failed', error = 'INSUFFICIENT_STOCK', details = v_detail::jsonb
+     where id = v_order.id
+    returning * into v_order;
+    return jsonb_build_object('status', 'failed', 'pos_order', to_jsonb(v_order), 'error', 'INSUFFICIENT_STOCK', 'details', v_detail::jsonb);
+  end;
+
+  update pos_orders
+     set status = 'processed', processed_at = now()
+   where id = v_order.id
+  returning * into v_order;
+
+  return jsonb_build_object('status', 'processed', 'pos_order', to_jsonb(v_order), 'applications', v_applications);
+end;
+$$;
@@ -0,0 +1,129 @@
+-- Packages/bundles ("Wash + Wax + Tire Black"): a set of services sold together at their own
+-- per-size prices. A package's recipe is the union of its services' service_products.
+create table if not exists service_packages (
+  package_id bigint generated always as identity primary key,
+  package_name text not null,
+  description text,
+  services_category_id bigint references services_category(services_category_id) on delete set null,
+  small numeric,
+  medium numeric,
+  large numeric,
+  xlarge numeric,
+  xxlarge numeric,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists service_package_items (
+  package_id bigint not null references service_packages(package_id) on delete cascade,
+  service_id bigint not null references services(service_id) on delete cascade,
+  primary key (package_id, service_id)
+);
+
+-- An application is either of a single service or of a package
+alter table service_applications alter column service_id drop not null;
+alter table service_applications add column if not exists package_id bigint references service_packages(package_id);
+alter table service_applications drop constraint if exists service_applications_target_check;
+alter table service_applications add constraint service_applications_target_check
+  check (service_id is not null or package_id is not null);
+
+-- POS lines may sell a package: same as before, plus package_id on each line
+create or replace function ingest_pos_order(
+  p_pos_order_id text,
+  p_branch_id bigint,
+  p_lines jsonb,
+  p_unmatched jsonb default '[]'::jsonb,
+  p_source text default 'webhook',
+  p_created_by bigint default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_order pos_orders;
+  v_line jsonb;
+  v_app_id bigint;
+  v_applications jsonb := '[]'::jsonb;
+  v_detail text;
+begin
+  insert into pos_orders (pos_order_id, branch_id, status, source, lines)
+  values (p_pos_order_id, p_branch_id, 'processing', p_source, p_lines)
+  on conflict (pos_order_id) do nothing
+  returning * into v_order;
+
+  -- Already seen: a concurrent ingest of the same order waits here until the first commits
+  if v_order.id is null then
+    select * into v_order from pos_orders where pos_order_id = p_pos_order_id for update;
+    if v_order.status = 'processed' then
+      return jsonb_build_object('status', 'duplicate', 'pos_order', to_jsonb(v_order));
+    end if;
+
+    update pos_orders
+       set branch_id = p_branch_id, status = 'processing', source = p_source, lines = p_lines,
+           error = null, details = null, attempts = attempts + 1, last_attempt_at = now()
+     where id = v_order.id;
+  end if;
+
+  if jsonb_array_length(p_unmatched) > 0 then
+    update pos_orders
+       set status = 'failed', error = 'UNMATCHED_LINES', details = p_unmatched
+     where id = v_order.id
+    returning * into v_order;
+    return jsonb_build_object('status', 'failed', 'pos_order', to_jsonb(v_order), 'error', 'UNMATCHED_LINES', 'details', p_unmatched);
+  end if;
+
+  begin
+    for v_line in select * from jsonb_array_elements(p_lines) loop
+      insert into service_applications (branch_id, service_id, package_id, variant_id, quantity, performed_by, pos_order_id)
+      values (
+        p_branch_id,
+        (v_line->>'service_id')::bigint,
+        (v_line->>'package_id')::bigint,
+        (v_line->>'variant_id')::bigint,
+        coalesce((v_line->>'quantity')::numeric, 1),
+        p_created_by,
+        v_order.id
+      )
+      returning id into v_app_id;
+
+      if jsonb_array_length(coalesce(v_line->'items', '[]'::jsonb)) > 0 then
+        perform apply_stock_movements(
+          p_branch_id, v_line->'items', 'SERVICE_APPLIED', 'service_applications', v_app_id, p_created_by,
+          jsonb_build_object(
+            'service_application_id', v_app_id,
+            'service_id', v_line->'service_id',
+            'package_id', v_line->'package_id',
+            'variant_id', v_line->'variant_id',
+            'pos_order_id', p_pos_order_id
+          )
+        );
+      end if;
+
+      v_applications := v_applications || jsonb_build_object(
+        'service_application_id', v_app_id,
+        'service_id', v_line->'service_id',
+        'package_id', v_line->'package_id',
+        'variant_id', v_line->'variant_id',
+        'quantity', coalesce((v_line->>'quantity')::numeric, 1)
+      );
+    end loop;
+  exception when raise_exception then
+    if sqlerrm <> 'INSUFFICIENT_STOCK' then
+      raise;
+    end if;
+    get stacked diagnostics v_detail = pg_exception_detail;
+    update pos_orders
+       set status = 'failed', error = 'INSUFFICIENT_STOCK', details = v_detail::jsonb
+     where id = v_order.id
+    returning * into v_order;
+    return jsonb_build_object('status', 'failed', 'pos_order', to_jsonb(v_order), 'error', 'INSUFFICIENT_STOCK', 'details', v_detail::jsonb);
+  end;
+
+  update pos_orders
+     set status = 'processed', processed_at = now()
+   where id = v_order.id
+  returning * into v_order;
+
+  return jsonb_build_object('status', 'processed', 'pos_order', to_jsonb(v_order), 'applications', v_applications);
+end;
+$$;
@@ -0,0 +1,45 @@
+-- Versioned per-size prices for services. The row with the latest effective_from <= now() is the
+-- price in force; later rows are scheduled changes. services.small…xxlarge keep the current
+-- price for the catalog and are brought up to date by apply_due_service_prices().
+create table if not exists service_prices (
+  id bigint generated always as identity primary key,
+  service_id bigint not null references services(service_id) on delete cascade,
+  small numeric,
+  medium numeric,
+  large numeric,
+  xlarge numeric,
+  xxlarge numeric,
+  effective_from timestamptz not null default now(),
+  note text,
+  created_by bigint references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists service_prices_service_idx on service_prices (service_id, effective_from desc);
+
+-- Today's prices become the first version of every existing service
+insert into service_prices (service_id, small, medium, large, xlarge, xxlarge, effective_from, note)
+select s.service_id, s.small, s.medium, s.large, s.xlarge, s.xxlarge, 'epoch'::timestamptz, 'Initial price'
+from services s
+where not exists (select 1 from service_prices p where p.service_id = s.service_id);
+
+-- Copies every price that has come into force onto services; returns how many services changed
+create or replace function apply_due_service_prices()
+returns int
+language sql
+as $$
+  with in_force as (
+    select distinct on (service_id) service_id, small, medium, large, xlarge, xxlarge
+    from service_prices
+    where effective_from <= now()
+    order by service_id, effective_from desc, id desc
+  ), updated as (
+    update services s
+       set small = f.small, medium = f.medium, large = f.large, xlarge = f.xlarge, xxlarge = f.xxlarge
+      from in_force f
+     where s.service_id = f.service_id
+       and (s.small, s.medium, s.large, s.xlarge, s.xxlarge) is distinct from (f.small, f.medium, f.large, f.xlarge, f.xxlarge)
+    returning 1
+  )
+  select count(*)::int from updated;
+$$;
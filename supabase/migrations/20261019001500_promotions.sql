@@ -0,0 +1,83 @@
+-- Promotions: percentage or fixed discounts, optionally behind a promo code, limited to some
+-- services/packages/categories/sizes, to a date range and to a weekly happy-hour window.
+-- Promotions without a code apply automatically; the best single discount wins (no stacking).
+create table if not exists promotions (
+  id bigint generated always as identity primary key,
+  name text not null,
+  code text unique,
+  description text,
+  discount_type text not null check (discount_type in ('percent', 'fixed')),
+  discount_value numeric not null check (discount_value > 0),
+  service_ids bigint[],
+  package_ids bigint[],
+  category_ids bigint[],
+  sizes text[],
+  starts_at timestamptz,
+  ends_at timestamptz,
+  days_of_week int[],
+  start_time time,
+  end_time time,
+  max_redemptions int check (max_redemptions is null or max_redemptions > 0),
+  active boolean not null default true,
+  created_by bigint references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  check (discount_type <> 'percent' or discount_value <= 100),
+  check ((start_time is null) = (end_time is null))
+);
+
+create table if not exists promotion_redemptions (
+  id bigint generated always as identity primary key,
+  promotion_id bigint not null references promotions(id),
+  code text,
+  branch_id bigint references branches(id),
+  service_id bigint references services(service_id) on delete set null,
+  package_id bigint references service_packages(package_id) on delete set null,
+  size text not null,
+  base_price numeric not null,
+  discount numeric not null,
+  final_price numeric not null,
+  reference text,
+  redeemed_by bigint references users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists promotion_redemptions_promotion_idx on promotion_redemptions (promotion_id, created_at desc);
+
+-- Records a redemption, enforcing max_redemptions under a row lock so concurrent redemptions
+-- can't overshoot the limit. Raises PROMOTION_LIMIT_REACHED when it's used up.
+create or replace function redeem_promotion(p_promotion_id bigint, p_redemption jsonb)
+returns promotion_redemptions
+language plpgsql
+as $$
+declare
+  v_max int;
+  v_row promotion_redemptions;
+begin
+  select max_redemptions into v_max from promotions where id = p_promotion_id for update;
+
+  if v_max is not null and (select count(*) from promotion_redemptions where promotion_id = p_promotion_id) >= v_max then
+    raise exception 'PROMOTION_LIMIT_REACHED';
+  end if;
+
+  insert into promotion_redemptions (
+    promotion_id, code, branch_id, service_id, package_id, size,
+    base_price, discount, final_price, reference, redeemed_by
+  )
+  values (
+    p_promotion_id,
+    p_redemption->>'code',
+    (p_redemption->>'branch_id')::bigint,
+    (p_redemption->>'service_id')::bigint,
+    (p_redemption->>'package_id')::bigint,
+    p_redemption->>'size',
+    (p_redemption->>'base_price')::numeric,
+    (p_redemption->>'discount')::numeric,
+    (p_redemption->>'final_price')::numeric,
+    p_redemption->>'reference',
+    (p_redemption->>'redeemed_by')::bigint
+  )
+  returning * into v_row;
+
+  return v_row;
+end;
+$$;
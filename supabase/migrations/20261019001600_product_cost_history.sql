@@ -0,0 +1,29 @@
+-- Every change to products.cost, whoever made it (product edits, imports, SQL), so service
+-- margins can show which supplier cost change pushed them down.
+create table if not exists product_cost_history (
+  id bigint generated always as identity primary key,
+  product_id bigint not null references products(product_id) on delete cascade,
+  old_cost numeric,
+  new_cost numeric,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists product_cost_history_product_idx on product_cost_history (product_id, changed_at desc);
+
+create or replace function log_product_cost_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into product_cost_history (product_id, old_cost, new_cost)
+  values (new.product_id, old.cost, new.cost);
+  return new;
+end;
+$$;
+
+drop trigger if exists products_cost_history on products;
+create trigger products_cost_history
+  after update of cost on products
+  for each row
+  when (old.cost is distinct from new.cost)
+  execute function log_product_cost_change();
@@ -0,0 +1,45 @@
+-- Customers and their vehicles. A vehicle's size class is one of the existing variants, so its
+-- services use that variant's recipe and size price. plate_key is the plate uppercased without
+-- spaces or dashes, which is what lookups match on ("abc 1234" finds "ABC-1234").
+create table if not exists customers (
+  id bigint generated always as identity primary key,
+  full_name text not null,
+  phone text,
+  email text,
+  notes text,
+  created_by bigint references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists customers_phone_idx on customers (phone);
+
+create table if not exists vehicles (
+  id bigint generated always as identity primary key,
+  customer_id bigint references customers(id),
+  plate_number text not null,
+  plate_key text not null unique,
+  make text,
+  model text,
+  color text,
+  year int,
+  variant_id bigint references variants(id),
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists vehicles_customer_idx on vehicles (customer_id);
+
+-- Service history: which vehicle/customer a service was performed on, and the unit price charged
+alter table service_applications add column if not exists vehicle_id bigint references vehicles(id);
+alter table service_applications add column if not exists customer_id bigint references customers(id);
+alter table service_applications add column if not exists price numeric;
+
+create index if not exists service_applications_vehicle_idx on service_applications (vehicle_id, created_at desc);
+create index if not exists service_applications_customer_idx on service_applications (customer_id, created_at desc);
+
+-- Whoever applies services can also register the customers and vehicles they're for
+insert into role_permissions (role_id, permission)
+select distinct role_id, 'customers:manage' from role_permissions where permission = 'services:apply'
+on conflict do nothing;
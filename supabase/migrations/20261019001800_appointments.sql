@@ -0,0 +1,63 @@
+-- Appointment booking: wash bays per branch with weekly opening hours, an estimated duration per
+-- service and variant, and appointments that hold one bay for [starts_at, ends_at).
+create extension if not exists btree_gist;
+
+create table if not exists service_durations (
+  service_id bigint not null references services(service_id) on delete cascade,
+  variant_id bigint not null references variants(id) on delete cascade,
+  duration_minutes int not null check (duration_minutes > 0),
+  primary key (service_id, variant_id)
+);
+
+create table if not exists wash_bays (
+  id bigint generated always as identity primary key,
+  branch_id bigint not null references branches(id),
+  name text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+-- Wall-clock hours in the shop's time zone; day_of_week 0 = Sunday. No row = closed that day.
+create table if not exists bay_opening_hours (
+  bay_id bigint not null references wash_bays(id) on delete cascade,
+  day_of_week int not null check (day_of_week between 0 and 6),
+  opens_at time not null,
+  closes_at time not null,
+  primary key (bay_id, day_of_week),
+  check (closes_at > opens_at)
+);
+
+create table if not exists appointments (
+  id bigint generated always as identity primary key,
+  booking_code text not null unique,
+  branch_id bigint not null references branches(id),
+  bay_id bigint not null references wash_bays(id),
+  service_id bigint references services(service_id),
+  package_id bigint references service_packages(package_id),
+  variant_id bigint not null references variants(id),
+  vehicle_id bigint references vehicles(id),
+  customer_id bigint references customers(id),
+  customer_name text,
+  customer_phone text,
+  plate_number text,
+  notes text,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  status text not null default 'booked' check (status in ('booked', 'cancelled', 'completed', 'no_show')),
+  cancel_reason text,
+  cancelled_at timestamptz,
+  created_by bigint references users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at),
+  check (service_id is not null or package_id is not null),
+  -- A bay can't hold two live bookings at once, however the requests race
+  constraint appointments_no_double_booking
+    exclude using gist (bay_id with =, tstzrange(starts_at, ends_at) with &&) where (status = 'booked')
+);
+
+create index if not exists appointments_branch_idx on appointments (branch_id, starts_at);
+
+insert into role_permissions (role_id, permission)
+select distinct role_id, 'appointments:manage' from role_permissions where permission = 'services:apply'
+on conflict do nothing;
@@ -0,0 +1,82 @@
+-- A recipe lists each product once per service and variant. Existing duplicates are merged
+-- (quantities summed into the oldest row) before the rule is enforced.
+with merged as (
+  select min(id) as keep_id, service_id, variant_id, product_id, sum(quantity) as quantity
+  from service_products
+  group by service_id, variant_id, product_id
+  having count(*) > 1
+)
+update service_products sp
+   set quantity = m.quantity
+  from merged m
+ where sp.id = m.keep_id;
+
+delete from service_products sp
+ using service_products other
+ where sp.service_id = other.service_id
+   and sp.variant_id = other.variant_id
+   and sp.product_id = other.product_id
+   and sp.id > other.id;
+
+create unique index if not exists service_products_recipe_key
+  on service_products (service_id, variant_id, product_id);
+
+-- Replaces the whole recipe of one service/variant in a single transaction.
+-- p_items: [{ "product_id": 1, "quantity": 2.5 }, ...]; a repeated product fails on the unique index.
+create or replace function replace_service_recipe(p_service_id bigint, p_variant_id bigint, p_items jsonb)
+returns setof service_products
+language plpgsql
+as $$
+begin
+  delete from service_products where service_id = p_service_id and variant_id = p_variant_id;
+
+  return query
+  insert into service_products (service_id, variant_id, product_id, quantity)
+  select p_service_id, p_variant_id, (i->>'product_id')::bigint, (i->>'quantity')::numeric
+  from jsonb_array_elements(p_items) i
+  returning *;
+end;
+$$;
+
+-- Duplicates a service with its prices, branch price overrides, durations and every variant's
+-- recipe. Returns the new service_id.
+create or replace function clone_service(p_service_id bigint, p_service_name text, p_created_by bigint default null)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_new_id bigint;
+begin
+  insert into services (service_name, services_category_id, small, medium, large, xlarge, xxlarge, active)
+  select coalesce(p_service_name, service_name || ' (copy)'), services_category_id, small, medium, large, xlarge, xxlarge, active
+  from services
+  where service_id = p_service_id
+  returning service_id into v_new_id;
+
+  if v_new_id is null then
+    return null;
+  end if;
+
+  insert into service_prices (service_id, small, medium, large, xlarge, xxlarge, note, created_by)
+  select v_new_id, small, medium, large, xlarge, xxlarge, 'Cloned from service ' || p_service_id, p_created_by
+  from services
+  where service_id = v_new_id;
+
+  insert into service_branch_prices (service_id, branch_id, small, medium, large, xlarge, xxlarge)
+  select v_new_id, branch_id, small, medium, large, xlarge, xxlarge
+  from service_branch_prices
+  where service_id = p_service_id;
+
+  insert into service_durations (service_id, variant_id, duration_minutes)
+  select v_new_id, variant_id, duration_minutes
+  from service_durations
+  where service_id = p_service_id;
+
+  insert into service_products (service_id, variant_id, product_id, quantity)
+  select v_new_id, variant_id, product_id, quantity
+  from service_products
+  where service_id = p_service_id;
+
+  return v_new_id;
+end;
+$$;
@@ -0,0 +1,64 @@
+-- Stock threshold alerts. Every branch_stock change (purchase receive, service apply, POS
+-- ingestion, manual inventory logs, edits) goes through the trigger below, so alerts fire no
+-- matter which service moved the stock.
+--
+-- level 'low': stock at or under reorder_level; 'out': stock at or under zero.
+-- At most one open alert per branch/product/level, and a 'low' alert is only opened when nothing
+-- is open, so nothing is re-sent until the product recovers (stock back above reorder_level),
+-- which resolves every open alert for it. Falling from low to out still raises 'out' once.
+-- products-service delivers new alerts to its channels and records the outcome in `deliveries`.
+create table if not exists stock_alerts (
+  id bigint generated always as identity primary key,
+  branch_id bigint not null references branches(id) on delete cascade,
+  product_id bigint not null references products(product_id) on delete cascade,
+  level text not null check (level in ('low', 'out')),
+  stock numeric not null,
+  reorder_level numeric not null,
+  created_at timestamptz not null default now(),
+  resolved_at timestamptz,
+  resolved_stock numeric,
+  dispatched_at timestamptz,
+  attempts int not null default 0,
+  deliveries jsonb not null default '{}'::jsonb,
+  acknowledged_at timestamptz,
+  acknowledged_by bigint references users(id) on delete set null
+);
+
+create unique index if not exists stock_alerts_open_key
+  on stock_alerts (branch_id, product_id, level) where resolved_at is null;
+create index if not exists stock_alerts_pending_idx on stock_alerts (id) where dispatched_at is null;
+create index if not exists stock_alerts_branch_idx on stock_alerts (branch_id, created_at desc);
+
+create or replace function check_stock_alert()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.stock > new.reorder_level then
+    update stock_alerts
+       set resolved_at = now(), resolved_stock = new.stock
+     where branch_id = new.branch_id and product_id = new.product_id and resolved_at is null;
+    return new;
+  end if;
+
+  if new.stock <= 0 then
+    insert into stock_alerts (branch_id, product_id, level, stock, reorder_level)
+    values (new.branch_id, new.product_id, 'out', new.stock, new.reorder_level)
+    on conflict do nothing;
+  elsif not exists (
+    select 1 from stock_alerts
+     where branch_id = new.branch_id and product_id = new.product_id and resolved_at is null
+  ) then
+    insert into stock_alerts (branch_id, product_id, level, stock, reorder_level)
+    values (new.branch_id, new.product_id, 'low', new.stock, new.reorder_level)
+    on conflict do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists branch_stock_alert on branch_stock;
+create trigger branch_stock_alert
+  after insert or update of stock, reorder_level on branch_stock
+  for each row
+  execute function check_stock_alert();
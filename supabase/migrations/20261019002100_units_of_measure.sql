@@ -0,0 +1,203 @@
+-- Units of measure. Stock is always kept in the product's own `unit` (its stock unit); purchases,
+-- recipes and manual logs may be entered in any unit the product converts to, and are converted
+-- to stock units before stock moves.
+--
+-- Standard units convert within their dimension (1 l = 1000 ml); packaging such as a 20 l drum is
+-- a per-product conversion in product_units ("1 drum = 20 stock units").
+create table if not exists units (
+  code text primary key check (code = lower(btrim(code)) and code <> ''),
+  name text not null,
+  dimension text not null check (dimension in ('volume', 'mass', 'count', 'length')),
+  -- Size in the dimension's base unit (ml, g, pcs, cm)
+  to_base numeric not null check (to_base > 0)
+);
+
+insert into units (code, name, dimension, to_base) values
+  ('ml', 'Millilitre', 'volume', 1),
+  ('l', 'Litre', 'volume', 1000),
+  ('gal', 'US gallon', 'volume', 3785.411784),
+  ('g', 'Gram', 'mass', 1),
+  ('kg', 'Kilogram', 'mass', 1000),
+  ('pcs', 'Piece', 'count', 1),
+  ('cm', 'Centimetre', 'length', 1),
+  ('m', 'Metre', 'length', 100)
+on conflict do nothing;
+
+-- factor = stock units in one `unit` of this product
+create table if not exists product_units (
+  product_id bigint not null references products(product_id) on delete cascade,
+  unit text not null check (unit = lower(btrim(unit)) and unit <> ''),
+  factor numeric not null check (factor > 0),
+  primary key (product_id, unit)
+);
+
+-- Units a product is usually bought and consumed in (null = its stock unit)
+alter table products add column if not exists purchase_unit text;
+alter table products add column if not exists recipe_unit text;
+
+-- Every unit each product can be entered in, with its factor to the stock unit. The stock unit
+-- itself is 1, explicit product_units win over standard same-dimension conversions.
+create or replace view product_unit_factors as
+select distinct on (product_id, unit) product_id, unit, factor
+from (
+  select p.product_id, lower(btrim(p.unit)) as unit, 1::numeric as factor, 0 as priority
+  from products p
+  where btrim(coalesce(p.unit, '')) <> ''
+  union all
+  select pu.product_id, pu.unit, pu.factor, 1
+  from product_units pu
+  union all
+  select p.product_id, u.code, u.to_base / su.to_base, 2
+  from products p
+  join units su on su.code = lower(btrim(p.unit))
+  join units u on u.dimension = su.dimension
+) f
+order by product_id, unit, priority;
+
+-- Stock units in one p_unit of a product (null/empty unit = already in stock units).
+-- Raises UNIT_CONVERSION when the product has no conversion for the unit.
+create or replace function unit_factor(p_product_id bigint, p_unit text)
+returns numeric
+language plpgsql
+stable
+as $$
+declare
+  v_factor numeric;
+begin
+  if btrim(coalesce(p_unit, '')) = '' then
+    return 1;
+  end if;
+
+  select factor into v_factor
+  from product_unit_factors
+  where product_id = p_product_id and unit = lower(btrim(p_unit));
+
+  if v_factor is null then
+    raise exception 'UNIT_CONVERSION'
+      using detail = format('Product %s has no conversion from "%s" to its stock unit', p_product_id, p_unit);
+  end if;
+  return v_factor;
+end;
+$$;
+
+create or replace function to_stock_quantity(p_product_id bigint, p_quantity numeric, p_unit text)
+returns numeric
+language sql
+stable
+as $$
+  select p_quantity * unit_factor(p_product_id, p_unit);
+$$;
+
+-- Recipes keep `quantity` in stock units so every consumer (apply, POS ingestion, availability,
+-- margins) stays unit-agnostic. When entered in another unit, the entry is kept in
+-- recipe_quantity/recipe_unit and `quantity` is derived from it.
+alter table service_products add column if not exists recipe_quantity numeric;
+alter table service_products add column if not exists recipe_unit text;
+
+create or replace function derive_recipe_quantity()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.recipe_unit is not null then
+    new.recipe_unit := lower(btrim(new.recipe_unit));
+    new.quantity := to_stock_quantity(new.product_id, new.recipe_quantity, new.recipe_unit);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists service_products_recipe_unit on service_products;
+create trigger service_products_recipe_unit
+  before insert or update on service_products
+  for each row
+  execute function derive_recipe_quantity();
+
+-- A changed conversion (or stock unit) re-derives the recipes entered in other units
+create or replace function refresh_recipe_quantities()
+returns trigger
+language plpgsql
+as $$
+begin
+  update service_products
+     set quantity = to_stock_quantity(product_id, recipe_quantity, recipe_unit)
+   where product_id = coalesce(new.product_id, old.product_id)
+     and recipe_unit is not null;
+  return null;
+end;
+$$;
+
+drop trigger if exists product_units_refresh_recipes on product_units;
+create trigger product_units_refresh_recipes
+  after insert or update or delete on product_units
+  for each row
+  execute function refresh_recipe_quantities();
+
+drop trigger if exists products_unit_refresh_recipes on products;
+create trigger products_unit_refresh_recipes
+  after update of unit on products
+  for each row
+  when (old.unit is distinct from new.unit)
+  execute function refresh_recipe_quantities();
+
+-- Unit a purchase line was ordered in (null = stock unit)
+alter table purchase_items add column if not exists unit text;
+
+-- p_items: [{ "product_id": 1, "quantity": 500, "unit": "ml" }, ...]; unit is optional
+create or replace function replace_service_recipe(p_service_id bigint, p_variant_id bigint, p_items jsonb)
+returns setof service_products
+language plpgsql
+as $$
+begin
+  delete from service_products where service_id = p_service_id and variant_id = p_variant_id;
+
+  return query
+  insert into service_products (service_id, variant_id, product_id, quantity, recipe_quantity, recipe_unit)
+  select p_service_id, p_variant_id, (i->>'product_id')::bigint, (i->>'quantity')::numeric,
+         case when i->>'unit' is not null then (i->>'quantity')::numeric end, i->>'unit'
+  from jsonb_array_elements(p_items) i
+  returning *;
+end;
+$$;
+
+-- Same as before, now carrying each recipe line's entered unit
+create or replace function clone_service(p_service_id bigint, p_service_name text, p_created_by bigint default null)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_new_id bigint;
+begin
+  insert into services (service_name, services_category_id, small, medium, large, xlarge, xxlarge, active)
+  select coalesce(p_service_name, service_name || ' (copy)'), services_category_id, small, medium, large, xlarge, xxlarge, active
+  from services
+  where service_id = p_service_id
+  returning service_id into v_new_id;
+
+  if v_new_id is null then
+    return null;
+  end if;
+
+  insert into service_prices (service_id, small, medium, large, xlarge, xxlarge, note, created_by)
+  select v_new_id, small, medium, large, xlarge, xxlarge, 'Cloned from service ' || p_service_id, p_created_by
+  from services
+  where service_id = v_new_id;
+
+  insert into service_branch_prices (service_id, branch_id, small, medium, large, xlarge, xxlarge)
+  select v_new_id, branch_id, small, medium, large, xlarge, xxlarge
+  from service_branch_prices
+  where service_id = p_service_id;
+
+  insert into service_durations (service_id, variant_id, duration_minutes)
+  select v_new_id, variant_id, duration_minutes
+  from service_durations
+  where service_id = p_service_id;
+
+  insert into service_products (service_id, variant_id, product_id, quantity, recipe_quantity, recipe_unit)
+  select v_new_id, variant_id, product_id, quantity, recipe_quantity, recipe_unit
+  from service_products
+  where service_id = p_service_id;
+
+  return v_new_id;
+end;
+$$;
@@ -0,0 +1,13 @@
+-- Start the POS poller at the time this runs. Without a cursor the first poll would ingest the
+-- POS `orders` table from the beginning and deduct stock for washes sold long ago.
+-- To backfill on purpose, POST /api/pos/sync { "since": "<timestamp>" } (or set
+-- pos_sync_state.last_order_at yourself); orders from then on are ingested on the next poll.
+insert into pos_sync_state (source, last_order_at)
+values ('orders', now())
+on conflict (source) do update
+  set last_order_at = coalesce(pos_sync_state.last_order_at, excluded.last_order_at),
+      updated_at = now();
+
+-- Keyset cursor: orders sharing last_order_at are told apart by their POS id, so a batch of
+-- same-timestamp orders can't stall the poller
+alter table pos_sync_state add column if not exists last_order_id text;
@@ -0,0 +1,80 @@
+-- A price version now only sets the sizes listed in `sizes`; every other size keeps whatever the
+-- latest earlier version set. Before, a version copied all sizes from the price in force when it
+-- was created, so a scheduled change silently undid immediate changes made after scheduling it.
+alter table service_prices
+  add column if not exists sizes text[] not null default array['small', 'medium', 'large', 'xlarge', 'xxlarge'];
+
+-- Scheduled versions only meant the sizes that differ from the prices in force when they were
+-- created (the version they were copied from). Comparing with the version before them in
+-- effective order would pick up immediate changes made after scheduling and undo them again.
+-- Every existing row is still a full copy here, so the base version's columns are its prices.
+with changed as (
+  select s.id,
+         array_remove(array[
+           case when s.small is distinct from b.small then 'small' end,
+           case when s.medium is distinct from b.medium then 'medium' end,
+           case when s.large is distinct from b.large then 'large' end,
+           case when s.xlarge is distinct from b.xlarge then 'xlarge' end,
+           case when s.xxlarge is distinct from b.xxlarge then 'xxlarge' end
+         ], null) as sizes
+  from service_prices s
+  join lateral (
+    select v.small, v.medium, v.large, v.xlarge, v.xxlarge
+    from service_prices v
+    where v.service_id = s.service_id
+      and v.id <> s.id
+      and v.created_at <= s.created_at
+      and v.effective_from <= s.created_at
+    order by v.effective_from desc, v.id desc
+    limit 1
+  ) b on true
+  where s.effective_from > now()
+)
+update service_prices p
+   set sizes = c.sizes
+  from changed c
+ where p.id = c.id;
+
+-- Per-size prices in force at p_at: each size from the latest version that sets it.
+-- effective_from is that of the latest version in force.
+create or replace function service_prices_at(p_at timestamptz default now(), p_service_id bigint default null)
+returns table (
+  service_id bigint,
+  small numeric,
+  medium numeric,
+  large numeric,
+  xlarge numeric,
+  xxlarge numeric,
+  effective_from timestamptz
+)
+language sql
+stable
+as $$
+  select v.service_id,
+         (array_agg(v.small order by v.effective_from desc, v.id desc) filter (where 'small' = any(v.sizes)))[1],
+         (array_agg(v.medium order by v.effective_from desc, v.id desc) filter (where 'medium' = any(v.sizes)))[1],
+         (array_agg(v.large order by v.effective_from desc, v.id desc) filter (where 'large' = any(v.sizes)))[1],
+         (array_agg(v.xlarge order by v.effective_from desc, v.id desc) filter (where 'xlarge' = any(v.sizes)))[1],
+         (array_agg(v.xxlarge order by v.effective_from desc, v.id desc) filter (where 'xxlarge' = any(v.sizes)))[1],
+         max(v.effective_from)
+  from service_prices v
+  where v.effective_from <= p_at
+    and (p_service_id is null or v.service_id = p_service_id)
+  group by v.service_id;
+$$;
+
+-- Copies every price that has come into force onto services; returns how many services changed
+create or replace function apply_due_service_prices()
+returns int
+language sql
+as $$
+  with updated as (
+    update services s
+       set small = f.small, medium = f.medium, large = f.large, xlarge = f.xlarge, xxlarge = f.xxlarge
+      from service_prices_at(now()) f
+     where s.service_id = f.service_id
+       and (s.small, s.medium, s.large, s.xlarge, s.xxlarge) is distinct from (f.small, f.medium, f.large, f.xlarge, f.xxlarge)
+    returning 1
+  )
+  select count(*)::int from updated;
+$$;
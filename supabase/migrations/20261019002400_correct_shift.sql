@@ -0,0 +1,31 @@
+-- Corrects a shift and records the correction in one transaction, so a correction can never be
+-- saved without its audit row. p_updates holds clock_in and/or clock_out (a null clock_out
+-- reopens the shift). Returns the shift id, or null if there is no such shift.
+create or replace function correct_shift(p_shift_id bigint, p_updates jsonb, p_reason text, p_corrected_by bigint)
+returns bigint
+language plpgsql
+as $$
+declare
+  v_before shifts;
+  v_after shifts;
+begin
+  select * into v_before from shifts where id = p_shift_id for update;
+  if not found then
+    return null;
+  end if;
+
+  update shifts
+     set clock_in = case when p_updates ? 'clock_in' then (p_updates->>'clock_in')::timestamptz else clock_in end,
+         clock_out = case when p_updates ? 'clock_out' then (p_updates->>'clock_out')::timestamptz else clock_out end
+   where id = p_shift_id
+  returning * into v_after;
+
+  insert into shift_corrections (
+    shift_id, corrected_by, reason, previous_clock_in, previous_clock_out, new_clock_in, new_clock_out
+  ) values (
+    p_shift_id, p_corrected_by, p_reason, v_before.clock_in, v_before.clock_out, v_after.clock_in, v_after.clock_out
+  );
+
+  return p_shift_id;
+end;
+$$;
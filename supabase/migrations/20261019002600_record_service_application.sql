@@ -0,0 +1,43 @@
+-- Records a performed service and deducts its products in one transaction, so there is never an
+-- applied service_applications row without its stock movements (or the other way round).
+--
+-- p_application: { branch_id, service_id, package_id, variant_id, vehicle_id, customer_id, price,
+-- performed_by }. p_items / p_metadata as for apply_stock_movements; the logs also get the new
+-- service_application_id. Raises INSUFFICIENT_STOCK (nothing recorded) like apply_stock_movements.
+-- Returns { application, movements }.
+create or replace function record_service_application(
+  p_application jsonb,
+  p_items jsonb default '[]'::jsonb,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_application service_applications;
+  v_movements jsonb := '[]'::jsonb;
+begin
+  insert into service_applications (branch_id, service_id, package_id, variant_id, vehicle_id, customer_id, price, performed_by)
+  values (
+    (p_application->>'branch_id')::bigint,
+    (p_application->>'service_id')::bigint,
+    (p_application->>'package_id')::bigint,
+    (p_application->>'variant_id')::bigint,
+    (p_application->>'vehicle_id')::bigint,
+    (p_application->>'customer_id')::bigint,
+    (p_application->>'price')::numeric,
+    (p_application->>'performed_by')::bigint
+  )
+  returning * into v_application;
+
+  if jsonb_array_length(coalesce(p_items, '[]'::jsonb)) > 0 then
+    v_movements := apply_stock_movements(
+      v_application.branch_id, p_items, 'SERVICE_APPLIED', 'service_applications', v_application.id,
+      v_application.performed_by,
+      coalesce(p_metadata, '{}'::jsonb) || jsonb_build_object('service_application_id', v_application.id)
+    );
+  end if;
+
+  return jsonb_build_object('application', to_jsonb(v_application), 'movements', v_movements);
+end;
+$$;
@@ -0,0 +1,16 @@
+-- Replaces a user's branch assignments in one transaction, so a failed insert (unknown branch or
+-- user) leaves the previous assignments in place instead of none at all.
+create or replace function replace_user_branches(p_user_id bigint, p_branch_ids bigint[], p_default_branch_id bigint)
+returns setof user_branches
+language plpgsql
+as $$
+begin
+  delete from user_branches where user_id = p_user_id;
+
+  return query
+  insert into user_branches (user_id, branch_id, is_default)
+  select p_user_id, b, b = p_default_branch_id
+  from unnest(p_branch_ids) b
+  returning *;
+end;
+$$;
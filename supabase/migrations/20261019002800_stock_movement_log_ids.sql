@@ -0,0 +1,98 @@
+-- apply_stock_movements also returns the inventory_logs id written for each product (log_id),
+-- so callers can hand back the log row they created. Otherwise unchanged.
+create or replace function apply_stock_movements(
+  p_branch_id bigint,
+  p_items jsonb,
+  p_reason text,
+  p_ref_table text,
+  p_ref_id bigint,
+  p_created_by bigint,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_item record;
+  v_previous numeric;
+  v_new numeric;
+  v_unit_cost numeric;
+  v_log_id bigint;
+  v_shortages jsonb := '[]'::jsonb;
+  v_result jsonb := '[]'::jsonb;
+begin
+  -- Make sure every product has a stock row to lock
+  insert into branch_stock (branch_id, product_id, stock)
+  select p_branch_id, (i->>'product_id')::bigint, 0
+  from jsonb_array_elements(p_items) i
+  on conflict do nothing;
+
+  for v_item in
+    select (i->>'product_id')::bigint as product_id, sum((i->>'change')::numeric) as change
+    from jsonb_array_elements(p_items) i
+    group by 1
+    order by 1
+  loop
+    select stock into v_previous
+    from branch_stock
+    where branch_id = p_branch_id and product_id = v_item.product_id
+    for update;
+
+    if v_item.change < 0 and v_previous + v_item.change < 0 then
+      v_shortages := v_shortages || jsonb_build_object(
+        'product_id', v_item.product_id,
+        'product_name', (select name from products where product_id = v_item.product_id),
+        'in_stock', v_previous,
+        'required', -v_item.change,
+        'short_by', -(v_previous + v_item.change)
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(v_shortages) > 0 then
+    raise exception 'INSUFFICIENT_STOCK' using detail = v_shortages::text;
+  end if;
+
+  for v_item in
+    select (i->>'product_id')::bigint as product_id,
+           sum((i->>'change')::numeric) as change,
+           sum((i->>'change')::numeric * (i->>'unit_cost')::numeric) filter (where i ? 'unit_cost')
+             / nullif(sum((i->>'change')::numeric) filter (where i ? 'unit_cost'), 0) as unit_cost,
+           (array_agg(i->'metadata') filter (where jsonb_typeof(i->'metadata') = 'object'))[1] as metadata
+    from jsonb_array_elements(p_items) i
+    group by 1
+    order by 1
+  loop
+    update branch_stock
+       set stock = stock + v_item.change, updated_at = now()
+     where branch_id = p_branch_id and product_id = v_item.product_id
+    returning stock - v_item.change, stock into v_previous, v_new;
+
+    v_unit_cost := coalesce(v_item.unit_cost, (select coalesce(cost, 0) from products where product_id = v_item.product_id));
+
+    insert into inventory_logs (product_id, branch_id, change, reason, ref_table, ref_id, created_by, metadata, unit_cost, total_cost)
+    values (
+      v_item.product_id, p_branch_id, v_item.change, p_reason, p_ref_table, p_ref_id, p_created_by,
+      p_metadata || coalesce(v_item.metadata, '{}'::jsonb) || jsonb_build_object(
+        'previous_stock', v_previous,
+        'new_stock', v_new,
+        'unit_cost', v_unit_cost,
+        'total_cost_impact', v_item.change * v_unit_cost
+      ),
+      v_unit_cost,
+      v_item.change * v_unit_cost
+    )
+    returning id into v_log_id;
+
+    v_result := v_result || jsonb_build_object(
+      'product_id', v_item.product_id,
+      'change', v_item.change,
+      'previous_stock', v_previous,
+      'new_stock', v_new,
+      'log_id', v_log_id
+    );
+  end loop;
+
+  return v_result;
+end;
+$$;
@@ -0,0 +1,128 @@
+// api-keys.js — machine credentials for the POS and other integrations.
+// Keys are shown once at creation; only their hash is stored (see hashApiKey in auth.js).
+import crypto from "crypto";
+import { PERMISSIONS, hashApiKey } from "./auth.js";
+
+const KEY_FIELDS = "id, name, key_prefix, permissions, branch_id, expires_at, last_used_at, revoked_at, created_by, created_at";
+
+export function registerApiKeyRoutes(app, { supabaseAdmin, requirePermission }) {
+  // A key's branch is what withBranch() uses for it; returns an error message or null
+  async function checkBranch(branchId) {
+    if (branchId === null || branchId === undefined) return null;
+    if (!Number.isInteger(Number(branchId)) || Number(branchId) <= 0) return "branch_id must be a branch id";
+
+    const { data, error } = await supabaseAdmin
+      .from("branches")
+      .select("id, active")
+      .eq("id", branchId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data || !data.active) return "branch_id must be an active branch";
+    return null;
+  }
+
+  // GET all API keys (never includes the secret)
+  app.get("/api-keys", requirePermission("api-keys:manage"), async (req, res) => {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from("api_keys")
+        .select(KEY_FIELDS)
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST issue a new API key scoped to specific permissions (and a branch, for branch-scoped routes)
+  app.post("/api-keys", requirePermission("api-keys:manage"), async (req, res) => {
+    try {
+      const { name, permissions, expires_at, branch_id = null } = req.body;
+      if (!name) return res.status(400).json({ message: "name is required" });
+      if (!Array.isArray(permissions) || permissions.length === 0) {
+        return res.status(400).json({ message: "permissions must be a non-empty array" });
+      }
+
+      // Keys are always explicitly scoped: no "*" wildcard
+      const invalid = permissions.filter((p) => !PERMISSIONS[p]);
+      if (invalid.length) return res.status(400).json({ message: `Unknown permissions: ${invalid.join(", ")}` });
+
+      if (expires_at && !(new Date(expires_at) > new Date())) {
+        return res.status(400).json({ message: "expires_at must be a future date" });
+      }
+
+      const branchError = await checkBranch(branch_id);
+      if (branchError) return res.status(400).json({ message: branchError });
+
+      const prefix = crypto.randomBytes(6).toString("hex");
+      const key = `ck_${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+
+      const { data, error } = await supabaseAdmin
+        .from("api_keys")
+        .insert([{
+          name,
+          key_prefix: prefix,
+          key_hash: hashApiKey(key),
+          permissions: [...new Set(permissions)],
+          branch_id: branch_id === null ? null : Number(branch_id),
+          expires_at: expires_at || null,
+          created_by: req.user.user_id,
+        }])
+        .select(KEY_FIELDS)
+        .single();
+      if (error) throw error;
+
+      res.status(201).json({
+        message: "API key created. Copy it now; it will not be shown again.",
+        api_key: { ...data, key },
+      });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // PATCH a key's branch: { branch_id } (null clears it). Keys issued before branches existed
+  // have none and can't use branch-scoped routes until one is set.
+  app.patch("/api-keys/:id", requirePermission("api-keys:manage"), async (req, res) => {
+    try {
+      if (!("branch_id" in req.body)) return res.status(400).json({ message: "branch_id is required" });
+      const { branch_id } = req.body;
+
+      const branchError = await checkBranch(branch_id);
+      if (branchError) return res.status(400).json({ message: branchError });
+
+      const { data, error } = await supabaseAdmin
+        .from("api_keys")
+        .update({ branch_id: branch_id === null ? null : Number(branch_id) })
+        .eq("id", req.params.id)
+        .is("revoked_at", null)
+        .select(KEY_FIELDS)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return res.status(404).json({ message: "API key not found or revoked" });
+
+      res.json(data);
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // DELETE revoke an API key
+  app.delete("/api-keys/:id", requirePermission("api-keys:manage"), async (req, res) => {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from("api_keys")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("id", req.params.id)
+        .is("revoked_at", null)
+        .select("id");
+      if (error) throw error;
+      if (!data.length) return res.status(404).json({ message: "API key not found or already revoked" });
+
+      res.json({ message: "API key revoked" });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+}
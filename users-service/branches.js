@@ -0,0 +1,148 @@
+// branches.js — car wash locations and staff branch assignment for users-service
+
+export function registerBranchRoutes(app, { supabaseAdmin, requireUser, requirePermission, hasPermission, signAccessToken }) {
+  // GET branches: everything for cross-branch users, otherwise only the caller's own
+  app.get("/branches", requireUser, async (req, res) => {
+    try {
+      if (hasPermission(req.user, "branches:all") || hasPermission(req.user, "branches:manage")) {
+        const { data, error } = await supabaseAdmin
+          .from("branches")
+          .select("id, name, address, active, created_at")
+          .order("id", { ascending: true });
+        if (error) throw error;
+        return res.json(data);
+      }
+
+      const { data, error } = await supabaseAdmin
+        .from("user_branches")
+        .select("is_default, branch:branches(id, name, address, active, created_at)")
+        .eq("user_id", req.user.user_id);
+      if (error) throw error;
+      res.json(data.filter((ub) => ub.branch?.active).map((ub) => ({ ...ub.branch, is_default: ub.is_default })));
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST create branch
+  app.post("/branches", requirePermission("branches:manage"), async (req, res) => {
+    try {
+      const { name, address } = req.body;
+      if (!name) return res.status(400).json({ message: "Branch name is required" });
+
+      const { data, error } = await supabaseAdmin
+        .from("branches")
+        .insert([{ name, address }])
+        .select()
+        .single();
+      if (error) return res.status(400).json({ message: error.message });
+
+      res.status(201).json({ message: "Branch created successfully", branch: data });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // PUT update branch
+  app.put("/branches/:id", requirePermission("branches:manage"), async (req, res) => {
+    try {
+      const { name, address, active } = req.body;
+      const { data, error } = await supabaseAdmin
+        .from("branches")
+        .update({ name, address, active })
+        .eq("id", req.params.id)
+        .select()
+        .maybeSingle();
+      if (error) return res.status(400).json({ message: error.message });
+      if (!data) return res.status(404).json({ message: "Branch not found" });
+
+      res.json({ message: "Branch updated successfully", branch: data });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // PUT replace a user's branch assignments
+  app.put("/users/:id/branches", requirePermission("users:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { branch_ids, default_branch_id } = req.body;
+      if (!Array.isArray(branch_ids) || branch_ids.length === 0) {
+        return res.status(400).json({ message: "branch_ids must be a non-empty array" });
+      }
+      if (branch_ids.some((branchId) => !/^[1-9]\d*$/.test(String(branchId)))) {
+        return res.status(400).json({ message: "branch_ids must be branch ids" });
+      }
+      const ids = [...new Set(branch_ids.map(Number))];
+      const defaultId = default_branch_id !== undefined ? Number(default_branch_id) : ids[0];
+      if (!ids.includes(defaultId)) {
+        return res.status(400).json({ message: "default_branch_id must be one of branch_ids" });
+      }
+
+      const { data: branches, error: branchError } = await supabaseAdmin
+        .from("branches")
+        .select("id")
+        .in("id", ids);
+      if (branchError) throw branchError;
+      const unknown = ids.filter((branchId) => !branches.some((branch) => Number(branch.id) === branchId));
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown branch id(s): ${unknown.join(", ")}` });
+      }
+
+      // Old assignments are only dropped if the new ones are saved (one transaction)
+      const { error: replaceError } = await supabaseAdmin.rpc("replace_user_branches", {
+        p_user_id: id,
+        p_branch_ids: ids,
+        p_default_branch_id: defaultId,
+      });
+      if (replaceError?.code === "23503") return res.status(404).json({ message: "User not found" });
+      if (replaceError) throw replaceError;
+
+      res.json({ message: "User branches updated successfully" });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST switch the active branch of the current session; returns a new access token
+  app.post("/branches/switch", requireUser, async (req, res) => {
+    try {
+      const branchId = Number(req.body.branch_id);
+      if (!branchId) return res.status(400).json({ message: "branch_id is required" });
+
+      const { data: branch, error: branchError } = await supabaseAdmin
+        .from("branches")
+        .select("id, name, active")
+        .eq("id", branchId)
+        .maybeSingle();
+      if (branchError) throw branchError;
+      if (!branch?.active) return res.status(404).json({ message: "Branch not found" });
+
+      if (!hasPermission(req.user, "branches:all")) {
+        const { data: assignment, error } = await supabaseAdmin
+          .from("user_branches")
+          .select("branch_id")
+          .eq("user_id", req.user.user_id)
+          .eq("branch_id", branchId)
+          .maybeSingle();
+        if (error) throw error;
+        if (!assignment) return res.status(403).json({ message: "You are not assigned to this branch" });
+      }
+
+      const { error: sessionError } = await supabaseAdmin
+        .from("auth_sessions")
+        .update({ branch_id: branchId })
+        .eq("id", req.user.sid);
+      if (sessionError) throw sessionError;
+
+      const { user_id, role, permissions, sid } = req.user;
+      res.json({
+        message: `Switched to ${branch.name}`,
+        branch,
+        token: signAccessToken(user_id, role, permissions, sid, branchId),
+      });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+}
@@ -3,6 +3,14 @@ import cors from "cors";
 import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { createAuth, PERMISSIONS } from "./auth.js";
+import { createMailer } from "./mailer.js";
+import { registerOnboardingRoutes } from "./onboarding.js";
+import { createLoginGuard } from "./login-guard.js";
+import { registerApiKeyRoutes } from "./api-keys.js";
+import { registerTimekeepingRoutes } from "./timekeeping.js";
+import { registerBranchRoutes } from "./branches.js";
 
 // Load env
 dotenv.config();
@@ -19,13 +27,27 @@ const SUPABASE_SERVICE_ROLE_KEY = cleanEnv(process.env.SUPABASE_SERVICE_ROLE_KEY
 const SUPABASE_ANON_KEY = cleanEnv(process.env.SUPABASE_ANON_KEY);
 const JWT_SECRET = cleanEnv(process.env.JWT_SECRET) || "supersecret"; // for signing tokens
 const PORT = cleanEnv(process.env.PORT) || 3001;
+const ACCESS_TOKEN_TTL = cleanEnv(process.env.ACCESS_TOKEN_TTL) || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(cleanEnv(process.env.REFRESH_TOKEN_TTL_DAYS)) || 30;
+const APP_URL = cleanEnv(process.env.APP_URL) || "http://localhost:5173"; // front-end base for emailed links
+const SIGNUP_ROLE = cleanEnv(process.env.SIGNUP_ROLE) || "user"; // role granted by public /signup
 
 // Supabase clients
 const supabaseAnon = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 const supabaseAdmin = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
+// Email (file outbox in development, SMTP in production)
+const mailer = createMailer({
+  transport: cleanEnv(process.env.MAIL_TRANSPORT) || "file",
+  from: cleanEnv(process.env.MAIL_FROM) || "Carwash IMS <no-reply@carwash.local>",
+  dir: cleanEnv(process.env.MAIL_DIR),
+  smtpUrl: cleanEnv(process.env.SMTP_URL),
+});
+
 // Express setup
 const app = express();
+// Proxy hops to trust for req.ip (Railway sits one proxy in front of us)
+app.set("trust proxy", Number(cleanEnv(process.env.TRUST_PROXY_HOPS) ?? 1));
 app.use(cors());
 app.use(express.json());
 
@@ -34,14 +56,126 @@ app.get("/", (req, res) => {
   res.json({ message: "Users Service is running 🚀" });
 });
 
+// ================== TOKEN HELPERS ==================
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Access tokens are short-lived and carry the session id (sid) so they can be revoked,
+// plus the branch the user is currently working in
+function signAccessToken(userId, roleName, permissions, sessionId, branchId) {
+  return jwt.sign(
+    { user_id: userId, role: roleName, permissions, sid: sessionId, branch_id: branchId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// Refresh tokens look like "<session id>.<secret>"; only the secret's hash is stored
+async function createSession(userId, req, branchId) {
+  const secret = crypto.randomBytes(48).toString("base64url");
+  const { data, error } = await supabaseAdmin
+    .from("auth_sessions")
+    .insert([{
+      user_id: userId,
+      branch_id: branchId,
+      refresh_token_hash: hashToken(secret),
+      expires_at: refreshExpiry(),
+      user_agent: req.headers["user-agent"] || null,
+      ip_address: req.ip || null,
+    }])
+    .select("id")
+    .single();
+  if (error) throw error;
+
+  return { sessionId: data.id, refreshToken: `${data.id}.${secret}` };
+}
+
+async function revokeSession(sessionId) {
+  const { error } = await supabaseAdmin
+    .from("auth_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .is("revoked_at", null);
+  if (error) throw error;
+}
+
+async function revokeUserSessions(userId) {
+  const { error } = await supabaseAdmin
+    .from("auth_sessions")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+  if (error) throw error;
+}
+
+// Permissions granted to a role; embedded in the access token
+async function getRolePermissions(roleId) {
+  const { data, error } = await supabaseAdmin
+    .from("role_permissions")
+    .select("permission")
+    .eq("role_id", roleId);
+  if (error) throw error;
+  return data.map((rp) => rp.permission);
+}
+
+// Active branches a user is assigned to, default branch first
+async function getUserBranches(userId) {
+  const { data, error } = await supabaseAdmin
+    .from("user_branches")
+    .select("is_default, branch:branches(id, name, active)")
+    .eq("user_id", userId);
+  if (error) throw error;
+
+  return data
+    .filter((ub) => ub.branch?.active)
+    .map((ub) => ({ id: ub.branch.id, name: ub.branch.name, is_default: ub.is_default }))
+    .sort((a, b) => Number(b.is_default) - Number(a.is_default));
+}
+
+// The preferred branch if the user still has it, else their default
+const pickBranch = (branches, preferredId) =>
+  (branches.find((b) => String(b.id) === String(preferredId)) || branches[0])?.id ?? null;
+
+// ================== AUTH MIDDLEWARE ==================
+const { requireUser, requirePermission, hasPermission } = createAuth(supabaseAdmin, JWT_SECRET);
+
 // ================== LOGIN ==================
+const loginGuard = createLoginGuard(supabaseAdmin, {
+  maxAttempts: Number(cleanEnv(process.env.LOGIN_MAX_ATTEMPTS)) || 5,
+  lockoutMinutes: Number(cleanEnv(process.env.LOGIN_LOCKOUT_MINUTES)) || 15,
+  ipMaxAttempts: Number(cleanEnv(process.env.LOGIN_IP_MAX_ATTEMPTS)) || 20,
+  ipWindowMinutes: Number(cleanEnv(process.env.LOGIN_IP_WINDOW_MINUTES)) || 15,
+});
+
 app.post("/login", async (req, res) => {
   const { email, password } = req.body;
 
   try {
+    if (await loginGuard.isIpBlocked(req.ip)) {
+      await loginGuard.recordAttempt(req, { email, success: false, reason: "ip_blocked" });
+      return res.status(429).json({ message: "Too many failed login attempts. Try again later." });
+    }
+
+    const account = email ? await loginGuard.findAccount(email) : null;
+    if (loginGuard.isLocked(account)) {
+      await loginGuard.recordAttempt(req, { email, userId: account.id, success: false, reason: "locked" });
+      return res.status(423).json({ message: "Account is temporarily locked", locked_until: account.locked_until });
+    }
+
     const { data: authData, error: authError } =
       await supabaseAnon.auth.signInWithPassword({ email, password });
-    if (authError) return res.status(400).json({ message: authError.message });
+    if (authError) {
+      const lockedUntil = account ? await loginGuard.registerFailure(account.id) : null;
+      await loginGuard.recordAttempt(req, { email, userId: account?.id, success: false, reason: "invalid_credentials" });
+      if (lockedUntil) {
+        return res.status(423).json({ message: "Too many failed attempts. Account is temporarily locked", locked_until: lockedUntil });
+      }
+      return res.status(400).json({ message: authError.message });
+    }
 
     const authUser = authData.user;
 
@@ -50,8 +184,14 @@ app.post("/login", async (req, res) => {
       .select("id, full_name, role_id, active")
       .eq("auth_uid", authUser.id)
       .single();
-    if (userError) return res.status(400).json({ message: "User record not found" });
-    if (!userData.active) return res.status(403).json({ message: "Account is inactive" });
+    if (userError) {
+      await loginGuard.recordAttempt(req, { email, success: false, reason: "no_user_record" });
+      return res.status(400).json({ message: "User record not found" });
+    }
+    if (!userData.active) {
+      await loginGuard.recordAttempt(req, { email, userId: userData.id, success: false, reason: "inactive" });
+      return res.status(403).json({ message: "Account is inactive" });
+    }
 
     const { data: roleData, error: roleError } = await supabaseAdmin
       .from("roles")
@@ -60,12 +200,15 @@ app.post("/login", async (req, res) => {
       .single();
     if (roleError) return res.status(400).json({ message: "Role not found" });
 
-    // Sign JWT for admin API access
-    const token = jwt.sign(
-      { user_id: userData.id, role: roleData.name },
-      JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    // Sign short-lived JWT for API access, backed by a revocable session
+    const permissions = await getRolePermissions(userData.role_id);
+    const branches = await getUserBranches(userData.id);
+    const branchId = pickBranch(branches);
+    const { sessionId, refreshToken } = await createSession(userData.id, req, branchId);
+    const token = signAccessToken(userData.id, roleData.name, permissions, sessionId, branchId);
+
+    await loginGuard.registerSuccess(userData.id);
+    await loginGuard.recordAttempt(req, { email, userId: userData.id, success: true });
 
     return res.json({
       message: "Login successful",
@@ -73,8 +216,12 @@ app.post("/login", async (req, res) => {
         id: userData.id,
         name: userData.full_name,
         role: roleData.name,
+        permissions,
+        branch_id: branchId,
+        branches,
       },
       token,
+      refresh_token: refreshToken,
     });
   } catch (err) {
     return res.status(500).json({ message: err.message });
@@ -82,9 +229,18 @@ app.post("/login", async (req, res) => {
 });
 
 // ================== SIGNUP ==================
+// Public signup always gets SIGNUP_ROLE; elevated roles are granted through invites
 app.post("/signup", async (req, res) => {
-  const { email, password, full_name, role_id } = req.body;
+  const { email, password, full_name } = req.body;
   try {
+    const { data: roleData, error: roleError } = await supabaseAdmin
+      .from("roles")
+      .select("id")
+      .eq("name", SIGNUP_ROLE)
+      .single();
+    if (roleError) return res.status(500).json({ message: "Signup role not configured" });
+    const role_id = roleData.id;
+
     const { data: authData, error: authError } = await supabaseAnon.auth.signUp({ email, password });
     if (authError) return res.status(400).json({ message: authError.message });
 
@@ -100,88 +256,310 @@ app.post("/signup", async (req, res) => {
   }
 });
 
-// ================== Middleware to verify JWT and admin role ==================
-const verifyAdmin = async (req, res, next) => {
+// ================== REFRESH TOKEN ==================
+app.post("/token/refresh", async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) return res.status(400).json({ message: "refresh_token is required" });
+
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) return res.status(401).json({ message: "No token provided" });
+    const [sessionId, secret] = refresh_token.split(".");
+    if (!sessionId || !secret) return res.status(401).json({ message: "Invalid refresh token" });
+
+    const { data: session, error: sessionError } = await supabaseAdmin
+      .from("auth_sessions")
+      .select("id, user_id, branch_id, refresh_token_hash, previous_refresh_token_hash, expires_at, revoked_at, user:users(id, role_id, active)")
+      .eq("id", sessionId)
+      .maybeSingle();
+    if (sessionError) throw sessionError;
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({ message: "Refresh token expired or revoked" });
+    }
 
-    const token = authHeader.split(" ")[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const presentedHash = hashToken(secret);
 
-    if (!decoded || decoded.role !== "admin") {
-      return res.status(403).json({ message: "Access denied. Admins only." });
+    // An already-rotated token being replayed means it leaked: kill the whole session
+    if (presentedHash === session.previous_refresh_token_hash) {
+      await revokeSession(session.id);
+      return res.status(401).json({ message: "Refresh token reuse detected. Please log in again." });
+    }
+    if (presentedHash !== session.refresh_token_hash) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    if (!session.user?.active) {
+      await revokeSession(session.id);
+      return res.status(403).json({ message: "Account is inactive" });
     }
 
-    req.user = decoded;
-    next();
+    const { data: roleData, error: roleError } = await supabaseAdmin
+      .from("roles")
+      .select("name")
+      .eq("id", session.user.role_id)
+      .single();
+    if (roleError) return res.status(400).json({ message: "Role not found" });
+
+    const permissions = await getRolePermissions(session.user.role_id);
+
+    // Keep the active branch unless the user has since been removed from it. Holders of
+    // branches:all may work in branches they aren't assigned to, so theirs only has to be active.
+    let branchId = pickBranch(await getUserBranches(session.user.id), session.branch_id);
+    if (session.branch_id && String(branchId) !== String(session.branch_id) && hasPermission({ permissions }, "branches:all")) {
+      const { data: branch, error: branchError } = await supabaseAdmin
+        .from("branches")
+        .select("id, active")
+        .eq("id", session.branch_id)
+        .maybeSingle();
+      if (branchError) throw branchError;
+      if (branch?.active) branchId = branch.id;
+    }
+
+    // Rotate; matching on the old hash makes concurrent refreshes with one token fail safely
+    const nextSecret = crypto.randomBytes(48).toString("base64url");
+    const { data: rotated, error: rotateError } = await supabaseAdmin
+      .from("auth_sessions")
+      .update({
+        refresh_token_hash: hashToken(nextSecret),
+        previous_refresh_token_hash: presentedHash,
+        branch_id: branchId,
+        expires_at: refreshExpiry(),
+        last_used_at: new Date().toISOString(),
+      })
+      .eq("id", session.id)
+      .eq("refresh_token_hash", presentedHash)
+      .select("id");
+    if (rotateError) throw rotateError;
+    if (!rotated?.length) return res.status(401).json({ message: "Invalid refresh token" });
+
+    return res.json({
+      message: "Token refreshed",
+      token: signAccessToken(
+        session.user.id,
+        roleData.name,
+        permissions,
+        session.id,
+        branchId
+      ),
+      refresh_token: `${session.id}.${nextSecret}`,
+    });
   } catch (err) {
-    return res.status(401).json({ message: "Invalid token" });
+    return res.status(500).json({ message: err.message });
   }
-};
+});
 
-// ================== USER MANAGEMENT ==================
+// ================== LOGOUT ==================
+// Revokes the current session, or every session of the user with { all: true }
+app.post("/logout", requireUser, async (req, res) => {
+  try {
+    if (req.body?.all) {
+      await revokeUserSessions(req.user.user_id);
+    } else {
+      await revokeSession(req.user.sid);
+    }
+    return res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+// ================== SELF SERVICE (/me) ==================
+
+const ME_FIELDS = "id, email, full_name, phone, role_id, active, last_login_at, created_at";
 
-// GET all users
-app.get("/users", verifyAdmin, async (req, res) => {
+// GET own profile with resolved role and permissions
+app.get("/me", requireUser, async (req, res) => {
   try {
+    const { data: me, error } = await supabaseAdmin
+      .from("users")
+      .select(`${ME_FIELDS}, role:roles(id, name)`)
+      .eq("id", req.user.user_id)
+      .single();
+    if (error) throw error;
+
+    const permissions = await getRolePermissions(me.role_id);
+    const branches = await getUserBranches(me.id);
+    res.json({ ...me, permissions, branch_id: req.user.branch_id ?? null, branches });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PATCH own profile (name and contact details only)
+app.patch("/me", requireUser, async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of ["full_name", "phone"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: "Nothing to update. Allowed fields: full_name, phone" });
+    }
+    if (updates.full_name !== undefined && !String(updates.full_name).trim()) {
+      return res.status(400).json({ message: "full_name cannot be empty" });
+    }
+
     const { data, error } = await supabaseAdmin
       .from("users")
-      .select("id, email, full_name, role_id, active");
+      .update(updates)
+      .eq("id", req.user.user_id)
+      .select(ME_FIELDS)
+      .single();
     if (error) throw error;
-    res.json(data);
+
+    res.json({ message: "Profile updated successfully", user: data });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST change own password; other sessions are logged out
+app.post("/me/password", requireUser, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+    if (!current_password || !new_password) {
+      return res.status(400).json({ message: "current_password and new_password are required" });
+    }
+
+    const { data: me, error } = await supabaseAdmin
+      .from("users")
+      .select("id, email, auth_uid")
+      .eq("id", req.user.user_id)
+      .single();
+    if (error) throw error;
+
+    const { error: verifyError } = await supabaseAnon.auth.signInWithPassword({
+      email: me.email,
+      password: current_password,
+    });
+    if (verifyError) {
+      // Counts toward lockout so /me/password can't be used to guess passwords
+      await loginGuard.registerFailure(me.id);
+      return res.status(400).json({ message: "Current password is incorrect" });
+    }
+
+    const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(me.auth_uid, {
+      password: new_password,
+    });
+    if (updateError) return res.status(400).json({ message: updateError.message });
+
+    const { error: revokeError } = await supabaseAdmin
+      .from("auth_sessions")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("user_id", me.id)
+      .neq("id", req.user.sid)
+      .is("revoked_at", null);
+    if (revokeError) throw revokeError;
+
+    res.json({ message: "Password changed successfully" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ================== INVITES & PASSWORD RESET ==================
+const { createInvite } = registerOnboardingRoutes(app, {
+  supabaseAdmin,
+  mailer,
+  requirePermission,
+  revokeUserSessions,
+  appUrl: APP_URL,
+});
+
+// ================== USER MANAGEMENT ==================
+
+// GET all users (deleted users only with ?include_deleted=true)
+app.get("/users", requirePermission("users:manage"), async (req, res) => {
+  try {
+    let query = supabaseAdmin
+      .from("users")
+      .select("id, email, full_name, role_id, active, last_login_at, locked_until, deleted_at");
+    if (req.query.include_deleted !== "true") query = query.is("deleted_at", null);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    res.json(data.map((user) => ({ ...user, locked: loginGuard.isLocked(user) })));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 // GET single user
-app.get("/users/:id", verifyAdmin, async (req, res) => {
+app.get("/users/:id", requirePermission("users:manage"), async (req, res) => {
   try {
     const { id } = req.params;
     const { data, error } = await supabaseAdmin
       .from("users")
-      .select("id, email, full_name, role_id, active")
+      .select("id, email, full_name, role_id, active, last_login_at, locked_until, deleted_at")
       .eq("id", id)
       .single();
     if (error) throw error;
+    res.json({ ...data, locked: loginGuard.isLocked(data) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// GET login history for a user
+app.get("/users/:id/login-history", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+
+    const { data, error } = await supabaseAdmin
+      .from("login_attempts")
+      .select("id, success, failure_reason, ip_address, user_agent, created_at")
+      .eq("user_id", id)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
     res.json(data);
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
-// POST create new user
-app.post("/users", verifyAdmin, async (req, res) => {
+// POST unlock a locked-out user
+app.post("/users/:id/unlock", requirePermission("users:manage"), async (req, res) => {
   try {
-    const { email, password, full_name, role_id } = req.body;
+    const unlocked = await loginGuard.unlock(req.params.id);
+    if (!unlocked) return res.status(404).json({ message: "User not found" });
+    res.json({ message: "User unlocked successfully" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    const { data: authData, error: authError } = await supabaseAnon.auth.signUp({ email, password });
-    if (authError) return res.status(400).json({ message: authError.message });
+// POST create new user — sends an invite; the user chooses their own password
+app.post("/users", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { email, full_name, role_id, branch_id } = req.body;
+    if (!email || !role_id) return res.status(400).json({ message: "email and role_id are required" });
 
-    const authUser = authData.user;
-    const { error: insertError } = await supabaseAdmin.from("users").insert([
-      { auth_uid: authUser.id, email, full_name, role_id, active: true }
-    ]);
-    if (insertError) throw insertError;
+    const invite = await createInvite({ email, full_name, role_id, branch_id, invited_by: req.user.user_id });
 
-    res.json({ message: "User created successfully" });
+    res.status(201).json({ message: "User invited successfully", invite });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.message });
   }
 });
 
 // PUT update user
-app.put("/users/:id", verifyAdmin, async (req, res) => {
+app.put("/users/:id", requirePermission("users:manage"), async (req, res) => {
   try {
     const { id } = req.params;
     const { full_name, role_id, active } = req.body;
 
-    const { error } = await supabaseAdmin
+    // Deleted users come back only through /users/:id/restore
+    const { data, error } = await supabaseAdmin
       .from("users")
       .update({ full_name, role_id, active })
-      .eq("id", id);
+      .eq("id", id)
+      .is("deleted_at", null)
+      .select("id");
     if (error) throw error;
+    if (!data.length) return res.status(404).json({ message: "User not found" });
+
+    // Deactivation must not wait for outstanding tokens to expire
+    if (active === false) await revokeUserSessions(id);
 
     res.json({ message: "User updated successfully" });
   } catch (err) {
@@ -189,20 +567,255 @@ app.put("/users/:id", verifyAdmin, async (req, res) => {
   }
 });
 
-// DELETE user
-app.delete("/users/:id", verifyAdmin, async (req, res) => {
+// Records that point at a user; while any exist the row must stay so history keeps its names
+const USER_REFERENCES = [
+  { table: "purchase_requisitions", column: "requested_by" },
+  { table: "purchases", column: "created_by" },
+  { table: "inventory_logs", column: "created_by" },
+  { table: "audit_logs", column: "user_id" },
+  { table: "shifts", column: "user_id" },
+];
+
+async function countUserReferences(userId) {
+  const counts = {};
+  for (const { table, column } of USER_REFERENCES) {
+    const { count, error } = await supabaseAdmin
+      .from(table)
+      .select("*", { count: "exact", head: true })
+      .eq(column, userId);
+    if (error) throw error;
+    if (count > 0) counts[`${table}.${column}`] = count;
+  }
+  return counts;
+}
+
+// Bans (or unbans) the Supabase auth user so they can't sign in anywhere
+async function setAuthUserBanned(authUid, banned) {
+  if (!authUid) return;
+  const { error } = await supabaseAdmin.auth.admin.updateUserById(authUid, {
+    ban_duration: banned ? "876000h" : "none",
+  });
+  if (error) throw error;
+}
+
+// DELETE user — soft delete: deactivates, disables the auth user and keeps history intact.
+// Optional { reassign_to } hands the user's pending requisitions to someone else.
+app.delete("/users/:id", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reassignTo = req.body?.reassign_to ?? req.query.reassign_to;
+
+    if (String(id) === String(req.user.user_id)) {
+      return res.status(400).json({ message: "You cannot delete your own account" });
+    }
+
+    const { data: user, error: fetchError } = await supabaseAdmin
+      .from("users")
+      .select("id, auth_uid, deleted_at")
+      .eq("id", id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!user || user.deleted_at) return res.status(404).json({ message: "User not found" });
+
+    let reassigned = 0;
+    if (reassignTo) {
+      const { data: target, error: targetError } = await supabaseAdmin
+        .from("users")
+        .select("id, active, deleted_at")
+        .eq("id", reassignTo)
+        .maybeSingle();
+      if (targetError) throw targetError;
+      if (!target || !target.active || target.deleted_at || String(target.id) === String(id)) {
+        return res.status(400).json({ message: "reassign_to must be another active user" });
+      }
+
+      const { data: moved, error: moveError } = await supabaseAdmin
+        .from("purchase_requisitions")
+        .update({ requested_by: target.id })
+        .eq("requested_by", id)
+        .eq("status", "pending")
+        .select("id");
+      if (moveError) throw moveError;
+      reassigned = moved.length;
+    }
+
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update({ active: false, deleted_at: new Date().toISOString(), deleted_by: req.user.user_id })
+      .eq("id", id);
+    if (error) throw error;
+
+    await revokeUserSessions(id);
+    await setAuthUserBanned(user.auth_uid, true);
+
+    res.json({ message: "User deleted successfully", reassigned_requisitions: reassigned });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// POST restore a soft-deleted user
+app.post("/users/:id/restore", requirePermission("users:manage"), async (req, res) => {
   try {
     const { id } = req.params;
 
+    const { data, error } = await supabaseAdmin
+      .from("users")
+      .update({ active: true, deleted_at: null, deleted_by: null })
+      .eq("id", id)
+      .not("deleted_at", "is", null)
+      .select("id, auth_uid");
+    if (error) throw error;
+    if (!data.length) return res.status(404).json({ message: "Deleted user not found" });
+
+    await setAuthUserBanned(data[0].auth_uid, false);
+
+    res.json({ message: "User restored successfully" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// DELETE user permanently — only when nothing references them
+app.delete("/users/:id/permanent", requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: user, error: fetchError } = await supabaseAdmin
+      .from("users")
+      .select("id, auth_uid")
+      .eq("id", id)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const references = await countUserReferences(id);
+    if (Object.keys(references).length > 0) {
+      return res.status(409).json({
+        message: "User has history and cannot be permanently deleted. Use soft delete instead.",
+        references,
+      });
+    }
+
+    await revokeUserSessions(id);
     const { error } = await supabaseAdmin.from("users").delete().eq("id", id);
     if (error) throw error;
 
-    res.json({ message: "User deleted successfully" });
+    if (user.auth_uid) {
+      const { error: authError } = await supabaseAdmin.auth.admin.deleteUser(user.auth_uid);
+      if (authError) console.error("Auth user delete error:", authError.message);
+    }
+
+    res.json({ message: "User permanently deleted" });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
+// ================== ROLES & PERMISSIONS ==================
+
+// GET permission catalog
+app.get("/permissions", requirePermission("roles:manage"), (req, res) => {
+  res.json(Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })));
+});
+
+// GET all roles with their permissions
+app.get("/roles", requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from("roles")
+      .select("id, name, role_permissions(permission)")
+      .order("id", { ascending: true });
+    if (error) throw error;
+
+    res.json(data.map(({ role_permissions, ...role }) => ({
+      ...role,
+      permissions: role_permissions.map((rp) => rp.permission),
+    })));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Rejects anything outside the catalog (or the "*" wildcard)
+function invalidPermissions(permissions) {
+  return permissions.filter((p) => p !== "*" && !PERMISSIONS[p]);
+}
+
+async function setRolePermissions(roleId, permissions) {
+  const { error: deleteError } = await supabaseAdmin
+    .from("role_permissions")
+    .delete()
+    .eq("role_id", roleId);
+  if (deleteError) throw deleteError;
+
+  if (permissions.length === 0) return;
+
+  const { error: insertError } = await supabaseAdmin
+    .from("role_permissions")
+    .insert([...new Set(permissions)].map((permission) => ({ role_id: roleId, permission })));
+  if (insertError) throw insertError;
+}
+
+// POST create role
+app.post("/roles", requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const { name, permissions = [] } = req.body;
+    if (!name) return res.status(400).json({ message: "Role name is required" });
+
+    const invalid = invalidPermissions(permissions);
+    if (invalid.length) return res.status(400).json({ message: `Unknown permissions: ${invalid.join(", ")}` });
+
+    const { data: role, error } = await supabaseAdmin
+      .from("roles")
+      .insert([{ name }])
+      .select("id, name")
+      .single();
+    if (error) return res.status(400).json({ message: error.message });
+
+    await setRolePermissions(role.id, permissions);
+
+    res.status(201).json({ message: "Role created successfully", role: { ...role, permissions } });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// PUT replace a role's permissions (takes effect as users' access tokens are refreshed)
+app.put("/roles/:id/permissions", requirePermission("roles:manage"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { permissions } = req.body;
+    if (!Array.isArray(permissions)) return res.status(400).json({ message: "permissions must be an array" });
+
+    const invalid = invalidPermissions(permissions);
+    if (invalid.length) return res.status(400).json({ message: `Unknown permissions: ${invalid.join(", ")}` });
+
+    const { data: role, error: roleError } = await supabaseAdmin
+      .from("roles")
+      .select("id")
+      .eq("id", id)
+      .maybeSingle();
+    if (roleError) throw roleError;
+    if (!role) return res.status(404).json({ message: "Role not found" });
+
+    await setRolePermissions(id, permissions);
+
+    res.json({ message: "Role permissions updated successfully" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ================== API KEYS ==================
+registerApiKeyRoutes(app, { supabaseAdmin, requirePermission });
+
+// ================== TIMEKEEPING ==================
+registerTimekeepingRoutes(app, { supabaseAdmin, requireUser, requirePermission });
+
+// ================== BRANCHES ==================
+registerBranchRoutes(app, { supabaseAdmin, requireUser, requirePermission, hasPermission, signAccessToken });
+
 // ================== START SERVER ==================
 app.listen(PORT, () => {
   console.log(`✅ Users service running on port ${PORT}`);
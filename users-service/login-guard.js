@@ -0,0 +1,86 @@
+// login-guard.js — brute-force protection and login history for POST /login
+//
+// Accounts: every LOGIN_MAX_ATTEMPTS consecutive failures lock the account, and each
+// successive lock doubles (LOGIN_LOCKOUT_MINUTES, 2x, 4x… capped at a day). A successful
+// login resets the counter. IPs: too many failures from one address inside the window
+// are refused before the password is even checked.
+
+export function createLoginGuard(supabaseAdmin, {
+  maxAttempts = 5,
+  lockoutMinutes = 15,
+  ipMaxAttempts = 20,
+  ipWindowMinutes = 15,
+} = {}) {
+  // Returns true when this IP has used up its failure budget for the window
+  async function isIpBlocked(ip) {
+    if (!ip) return false;
+    const since = new Date(Date.now() - ipWindowMinutes * 60 * 1000).toISOString();
+
+    const { count, error } = await supabaseAdmin
+      .from("login_attempts")
+      .select("id", { count: "exact", head: true })
+      .eq("ip_address", ip)
+      .eq("success", false)
+      .gte("created_at", since);
+    if (error) throw error;
+
+    return count >= ipMaxAttempts;
+  }
+
+  async function findAccount(email) {
+    const { data, error } = await supabaseAdmin
+      .from("users")
+      .select("id, locked_until")
+      .eq("email", email)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  const isLocked = (account) =>
+    !!account?.locked_until && new Date(account.locked_until) > new Date();
+
+  // Every attempt is written to login_attempts, success or not
+  async function recordAttempt(req, { email, userId = null, success, reason = null }) {
+    const { error } = await supabaseAdmin.from("login_attempts").insert([{
+      user_id: userId,
+      email,
+      ip_address: req.ip || null,
+      user_agent: req.headers["user-agent"] || null,
+      success,
+      failure_reason: reason,
+    }]);
+    if (error) console.error("Login attempt log error:", error.message);
+  }
+
+  // Bumps the failure counter atomically; returns the new locked_until (or null)
+  async function registerFailure(userId) {
+    const { data, error } = await supabaseAdmin.rpc("register_login_failure", {
+      p_user_id: userId,
+      p_max_attempts: maxAttempts,
+      p_lockout_minutes: lockoutMinutes,
+    });
+    if (error) throw error;
+    return data;
+  }
+
+  async function registerSuccess(userId) {
+    const { error } = await supabaseAdmin
+      .from("users")
+      .update({ failed_login_count: 0, locked_until: null, last_login_at: new Date().toISOString() })
+      .eq("id", userId);
+    if (error) throw error;
+  }
+
+  async function unlock(userId) {
+    const { data, error } = await supabaseAdmin
+      .from("users")
+      .update({ failed_login_count: 0, locked_until: null })
+      .eq("id", userId)
+      .select("id");
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  return { isIpBlocked, findAccount, isLocked, recordAttempt, registerFailure, registerSuccess, unlock };
+}
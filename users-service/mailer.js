@@ -0,0 +1,42 @@
+// mailer.js — pluggable email transport for users-service.
+// MAIL_TRANSPORT=file (default) writes each message as a JSON file under MAIL_DIR so invites
+// and reset links can be picked up locally; MAIL_TRANSPORT=smtp sends through SMTP_URL.
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+function createFileTransport(dir) {
+  return {
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, "_")}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+      console.log(`📧 Mail to ${message.to} written to ${file}`);
+    },
+  };
+}
+
+function createSmtpTransport(url) {
+  if (!url) throw new Error("SMTP_URL is required when MAIL_TRANSPORT=smtp");
+  const transporter = nodemailer.createTransport(url);
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+}
+
+export function createMailer({ transport = "file", from, dir = "./mail-outbox", smtpUrl } = {}) {
+  const transports = {
+    file: () => createFileTransport(dir),
+    smtp: () => createSmtpTransport(smtpUrl),
+  };
+  if (!transports[transport]) throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+
+  const impl = transports[transport]();
+
+  return {
+    // message = { to, subject, text, html? }
+    send: (message) => impl.send({ from, ...message }),
+  };
+}
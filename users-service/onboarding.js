@@ -0,0 +1,271 @@
+// onboarding.js — invitations and password reset for users-service
+import crypto from "crypto";
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+export function registerOnboardingRoutes(app, {
+  supabaseAdmin,
+  mailer,
+  requirePermission,
+  revokeUserSessions,
+  appUrl,
+  inviteTtlHours = 72,
+  resetTtlHours = 1,
+}) {
+  // Creates an invite and emails its single-use link; returns the invite row
+  async function createInvite({ email, full_name, role_id, branch_id = null, invited_by }) {
+    const { data: existing, error: existingError } = await supabaseAdmin
+      .from("users")
+      .select("id")
+      .eq("email", email)
+      .maybeSingle();
+    if (existingError) throw existingError;
+    if (existing) {
+      const err = new Error("A user with this email already exists");
+      err.status = 409;
+      throw err;
+    }
+
+    const { data: role, error: roleError } = await supabaseAdmin
+      .from("roles")
+      .select("id, name")
+      .eq("id", role_id)
+      .maybeSingle();
+    if (roleError) throw roleError;
+    if (!role) {
+      const err = new Error("Role not found");
+      err.status = 400;
+      throw err;
+    }
+
+    // Only one open invite per email
+    const { error: revokeError } = await supabaseAdmin
+      .from("user_invites")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("email", email)
+      .is("accepted_at", null)
+      .is("revoked_at", null);
+    if (revokeError) throw revokeError;
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const { data: invite, error } = await supabaseAdmin
+      .from("user_invites")
+      .insert([{
+        email,
+        full_name,
+        role_id,
+        branch_id,
+        token_hash: hashToken(token),
+        invited_by,
+        expires_at: hoursFromNow(inviteTtlHours),
+      }])
+      .select("id, email, full_name, role_id, branch_id, expires_at, created_at")
+      .single();
+    if (error) throw error;
+
+    const link = `${appUrl}/accept-invite?token=${token}`;
+    await mailer.send({
+      to: email,
+      subject: "You're invited to the Carwash IMS",
+      text: `Hi ${full_name || ""},\n\nYou have been invited to join the Carwash IMS as ${role.name}.\n` +
+        `Set your password here (valid for ${inviteTtlHours} hours):\n${link}\n`,
+    });
+
+    return invite;
+  }
+
+  const sendError = (res, err) =>
+    res.status(err.status || 500).json({ message: err.message });
+
+  // ================== INVITES ==================
+
+  // POST create invite
+  app.post("/invites", requirePermission("users:manage"), async (req, res) => {
+    try {
+      const { email, full_name, role_id, branch_id } = req.body;
+      if (!email || !role_id) return res.status(400).json({ message: "email and role_id are required" });
+
+      const invite = await createInvite({ email, full_name, role_id, branch_id, invited_by: req.user.user_id });
+      res.status(201).json({ message: "Invitation sent", invite });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // GET pending invites
+  app.get("/invites", requirePermission("users:manage"), async (req, res) => {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from("user_invites")
+        .select("id, email, full_name, role_id, branch_id, invited_by, expires_at, created_at")
+        .is("accepted_at", null)
+        .is("revoked_at", null)
+        .gt("expires_at", new Date().toISOString())
+        .order("created_at", { ascending: false });
+      if (error) throw error;
+      res.json(data);
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // DELETE revoke invite
+  app.delete("/invites/:id", requirePermission("users:manage"), async (req, res) => {
+    try {
+      const { error } = await supabaseAdmin
+        .from("user_invites")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("id", req.params.id)
+        .is("accepted_at", null);
+      if (error) throw error;
+      res.json({ message: "Invitation revoked" });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // POST accept invite (public) — the invitee sets their own password
+  app.post("/invites/accept", async (req, res) => {
+    try {
+      const { token, password, full_name } = req.body;
+      if (!token || !password) return res.status(400).json({ message: "token and password are required" });
+
+      const now = new Date().toISOString();
+
+      // Claim the invite first so the token can only ever be used once
+      const { data: claimed, error: claimError } = await supabaseAdmin
+        .from("user_invites")
+        .update({ accepted_at: now })
+        .eq("token_hash", hashToken(token))
+        .is("accepted_at", null)
+        .is("revoked_at", null)
+        .gt("expires_at", now)
+        .select("id, email, full_name, role_id, branch_id");
+      if (claimError) throw claimError;
+      if (!claimed?.length) return res.status(400).json({ message: "Invitation is invalid or has expired" });
+
+      const invite = claimed[0];
+      const releaseInvite = () =>
+        supabaseAdmin.from("user_invites").update({ accepted_at: null }).eq("id", invite.id);
+
+      const { data: authData, error: authError } = await supabaseAdmin.auth.admin.createUser({
+        email: invite.email,
+        password,
+        email_confirm: true,
+      });
+      if (authError) {
+        await releaseInvite();
+        return res.status(400).json({ message: authError.message });
+      }
+
+      const { data: user, error: insertError } = await supabaseAdmin
+        .from("users")
+        .insert([{
+          auth_uid: authData.user.id,
+          email: invite.email,
+          full_name: full_name || invite.full_name,
+          role_id: invite.role_id,
+          active: true,
+        }])
+        .select("id")
+        .single();
+      if (insertError) {
+        await supabaseAdmin.auth.admin.deleteUser(authData.user.id);
+        await releaseInvite();
+        throw insertError;
+      }
+
+      if (invite.branch_id) {
+        const { error: branchError } = await supabaseAdmin
+          .from("user_branches")
+          .insert([{ user_id: user.id, branch_id: invite.branch_id, is_default: true }]);
+        if (branchError) console.error("Invite branch assignment error:", branchError.message);
+      }
+
+      res.status(201).json({ message: "Account created. You can now log in.", user: { email: invite.email } });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  // ================== PASSWORD RESET ==================
+
+  // POST forgot password (public) — always answers the same way so emails can't be probed
+  app.post("/password/forgot", async (req, res) => {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ message: "email is required" });
+
+    try {
+      const { data: user, error } = await supabaseAdmin
+        .from("users")
+        .select("id, full_name, active")
+        .eq("email", email)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (user?.active) {
+        const token = crypto.randomBytes(32).toString("base64url");
+        const { error: insertError } = await supabaseAdmin.from("password_resets").insert([{
+          user_id: user.id,
+          token_hash: hashToken(token),
+          expires_at: hoursFromNow(resetTtlHours),
+          requested_ip: req.ip || null,
+        }]);
+        if (insertError) throw insertError;
+
+        await mailer.send({
+          to: email,
+          subject: "Reset your Carwash IMS password",
+          text: `Hi ${user.full_name || ""},\n\nUse this link to choose a new password ` +
+            `(valid for ${resetTtlHours} hour${resetTtlHours === 1 ? "" : "s"}):\n` +
+            `${appUrl}/reset-password?token=${token}\n\nIf you didn't ask for this, ignore this email.\n`,
+        });
+      }
+    } catch (err) {
+      console.error("Password forgot error:", err);
+    }
+
+    res.json({ message: "If that account exists, a reset link has been sent." });
+  });
+
+  // POST reset password (public)
+  app.post("/password/reset", async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      if (!token || !password) return res.status(400).json({ message: "token and password are required" });
+
+      const now = new Date().toISOString();
+      const { data: claimed, error: claimError } = await supabaseAdmin
+        .from("password_resets")
+        .update({ used_at: now })
+        .eq("token_hash", hashToken(token))
+        .is("used_at", null)
+        .gt("expires_at", now)
+        .select("user_id, user:users(auth_uid, active)");
+      if (claimError) throw claimError;
+
+      const reset = claimed?.[0];
+      if (!reset || !reset.user?.active) {
+        return res.status(400).json({ message: "Reset link is invalid or has expired" });
+      }
+
+      // A rejected password (too short, say) gives the link back so it can be retried
+      const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(reset.user.auth_uid, { password });
+      if (authError) {
+        await supabaseAdmin.from("password_resets").update({ used_at: null }).eq("token_hash", hashToken(token));
+        return res.status(400).json({ message: authError.message });
+      }
+
+      // A new password logs out every existing session
+      await revokeUserSessions(reset.user_id);
+
+      res.json({ message: "Password updated. Please log in again." });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+
+  return { createInvite };
+}
@@ -0,0 +1,334 @@
+// timekeeping.js — shift clock-in/out, breaks and attendance reports for users-service
+//
+// A shift is one row in `shifts` (clock_in → clock_out); breaks are rows in `shift_breaks`.
+// Worked time = shift length minus breaks. Admin corrections rewrite a shift's times and are
+// kept in `shift_corrections` with the reason and the previous values.
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const roundHours = (ms) => Math.round((ms / MS_PER_HOUR) * 100) / 100;
+
+// Worked milliseconds for a shift; open shifts/breaks are counted up to `now`. Only the part
+// of a break inside the shift counts, so a corrected (shortened) shift isn't docked for breaks
+// that now fall outside it.
+function workedMs(shift, now = new Date()) {
+  const start = new Date(shift.clock_in);
+  const end = shift.clock_out ? new Date(shift.clock_out) : now;
+  const total = end - start;
+  const breaks = (shift.breaks || []).reduce((sum, b) => {
+    const bStart = Math.max(new Date(b.started_at), start);
+    const bEnd = Math.min(b.ended_at ? new Date(b.ended_at) : now, end);
+    return sum + Math.max(bEnd - bStart, 0);
+  }, 0);
+  return Math.max(total - breaks, 0);
+}
+
+// "2026-10-19" for daily, the Monday of the week for weekly
+function periodKey(date, groupBy) {
+  const d = new Date(date);
+  if (groupBy === "week") {
+    const day = (d.getUTCDay() + 6) % 7;
+    d.setUTCDate(d.getUTCDate() - day);
+  }
+  return d.toISOString().split("T")[0];
+}
+
+function toCsv(rows, columns) {
+  const escape = (value) => {
+    const str = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => escape(row[c])).join(","))].join("\n");
+}
+
+export function registerTimekeepingRoutes(app, { supabaseAdmin, requireUser, requirePermission }) {
+  const SHIFT_FIELDS = "id, user_id, clock_in, clock_out, notes, breaks:shift_breaks(id, started_at, ended_at)";
+
+  async function getOpenShift(userId) {
+    const { data, error } = await supabaseAdmin
+      .from("shifts")
+      .select(SHIFT_FIELDS)
+      .eq("user_id", userId)
+      .is("clock_out", null)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  const withHours = (shift) => ({ ...shift, worked_hours: roundHours(workedMs(shift)) });
+
+  // ================== CLOCK IN / OUT ==================
+
+  // GET current shift of the logged-in user
+  app.get("/timeclock/status", requireUser, async (req, res) => {
+    try {
+      const shift = await getOpenShift(req.user.user_id);
+      res.json({
+        clocked_in: !!shift,
+        on_break: !!shift?.breaks.some((b) => !b.ended_at),
+        shift: shift ? withHours(shift) : null,
+      });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST clock in
+  app.post("/timeclock/clock-in", requireUser, async (req, res) => {
+    try {
+      const { data: user, error: userError } = await supabaseAdmin
+        .from("users")
+        .select("active")
+        .eq("id", req.user.user_id)
+        .single();
+      if (userError) throw userError;
+      if (!user.active) return res.status(403).json({ message: "Inactive accounts cannot clock in" });
+
+      if (await getOpenShift(req.user.user_id)) {
+        return res.status(409).json({ message: "Already clocked in" });
+      }
+
+      // The partial unique index on open shifts also guards against double submits
+      const { data, error } = await supabaseAdmin
+        .from("shifts")
+        .insert([{ user_id: req.user.user_id, clock_in: new Date().toISOString(), notes: req.body?.notes || null }])
+        .select(SHIFT_FIELDS)
+        .single();
+      if (error) {
+        if (error.code === "23505") return res.status(409).json({ message: "Already clocked in" });
+        throw error;
+      }
+
+      res.status(201).json({ message: "Clocked in", shift: withHours(data) });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST clock out (closes any open break)
+  app.post("/timeclock/clock-out", requireUser, async (req, res) => {
+    try {
+      const shift = await getOpenShift(req.user.user_id);
+      if (!shift) return res.status(409).json({ message: "Not clocked in" });
+
+      const now = new Date().toISOString();
+
+      const { error: breakError } = await supabaseAdmin
+        .from("shift_breaks")
+        .update({ ended_at: now })
+        .eq("shift_id", shift.id)
+        .is("ended_at", null);
+      if (breakError) throw breakError;
+
+      const { data, error } = await supabaseAdmin
+        .from("shifts")
+        .update({ clock_out: now })
+        .eq("id", shift.id)
+        .select(SHIFT_FIELDS)
+        .single();
+      if (error) throw error;
+
+      res.json({ message: "Clocked out", shift: withHours(data) });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST start break
+  app.post("/timeclock/break/start", requireUser, async (req, res) => {
+    try {
+      const shift = await getOpenShift(req.user.user_id);
+      if (!shift) return res.status(409).json({ message: "Not clocked in" });
+      if (shift.breaks.some((b) => !b.ended_at)) return res.status(409).json({ message: "Already on break" });
+
+      const { data, error } = await supabaseAdmin
+        .from("shift_breaks")
+        .insert([{ shift_id: shift.id, started_at: new Date().toISOString() }])
+        .select("id, started_at, ended_at")
+        .single();
+      if (error) throw error;
+
+      res.status(201).json({ message: "Break started", break: data });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // POST end break
+  app.post("/timeclock/break/end", requireUser, async (req, res) => {
+    try {
+      const shift = await getOpenShift(req.user.user_id);
+      const openBreak = shift?.breaks.find((b) => !b.ended_at);
+      if (!openBreak) return res.status(409).json({ message: "Not on break" });
+
+      const { data, error } = await supabaseAdmin
+        .from("shift_breaks")
+        .update({ ended_at: new Date().toISOString() })
+        .eq("id", openBreak.id)
+        .select("id, started_at, ended_at")
+        .single();
+      if (error) throw error;
+
+      res.json({ message: "Break ended", break: data });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // ================== ADMIN ==================
+
+  // GET shifts (filter by user_id, from, to)
+  app.get("/shifts", requirePermission("attendance:manage"), async (req, res) => {
+    try {
+      const { user_id, from, to } = req.query;
+      let query = supabaseAdmin
+        .from("shifts")
+        .select(`${SHIFT_FIELDS}, user:users(full_name)`)
+        .order("clock_in", { ascending: false });
+      if (user_id) query = query.eq("user_id", user_id);
+      if (from) query = query.gte("clock_in", from);
+      if (to) query = query.lt("clock_in", to);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      res.json(data.map(withHours));
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // PATCH correct a shift's times; a reason is mandatory and the change is audited
+  app.patch("/shifts/:id", requirePermission("attendance:manage"), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { clock_in, clock_out, reason } = req.body;
+      if (!reason) return res.status(400).json({ message: "A reason is required for corrections" });
+      if (clock_in === undefined && clock_out === undefined) {
+        return res.status(400).json({ message: "Provide clock_in and/or clock_out" });
+      }
+      if (clock_in === null) return res.status(400).json({ message: "clock_in can't be cleared" });
+
+      const { data: shift, error: fetchError } = await supabaseAdmin
+        .from("shifts")
+        .select("id, clock_in, clock_out")
+        .eq("id", id)
+        .maybeSingle();
+      if (fetchError) throw fetchError;
+      if (!shift) return res.status(404).json({ message: "Shift not found" });
+
+      const updates = {};
+      if (clock_in !== undefined) updates.clock_in = clock_in;
+      if (clock_out !== undefined) updates.clock_out = clock_out;
+
+      const nextIn = new Date(updates.clock_in ?? shift.clock_in);
+      const nextOut = updates.clock_out ?? shift.clock_out;
+      if (isNaN(nextIn) || (nextOut && !(new Date(nextOut) > nextIn))) {
+        return res.status(400).json({ message: "clock_out must be after clock_in" });
+      }
+
+      // Shift update and its shift_corrections row are written together
+      const { data: correctedId, error: correctError } = await supabaseAdmin.rpc("correct_shift", {
+        p_shift_id: id,
+        p_updates: updates,
+        p_reason: reason,
+        p_corrected_by: req.user.user_id,
+      });
+      // Reopening (clock_out: null) while the employee already has an open shift
+      if (correctError?.code === "23505") {
+        return res.status(409).json({ message: "This employee already has an open shift" });
+      }
+      if (correctError) throw correctError;
+      if (!correctedId) return res.status(404).json({ message: "Shift not found" });
+
+      const { data, error } = await supabaseAdmin
+        .from("shifts")
+        .select(SHIFT_FIELDS)
+        .eq("id", id)
+        .single();
+      if (error) throw error;
+
+      res.json({ message: "Shift corrected", shift: withHours(data) });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+
+  // ================== REPORTS ==================
+
+  // GET attendance per employee per day/week; ?format=csv for a download
+  // (?format=csv&report=totals for per-employee totals instead of the per-period rows)
+  app.get("/reports/attendance", requirePermission("attendance:manage"), async (req, res) => {
+    try {
+      const { from, to, user_id, group_by = "day", format, report: reportType = "rows" } = req.query;
+      if (!from || !to) return res.status(400).json({ message: "from and to are required (YYYY-MM-DD)" });
+      if (!["day", "week"].includes(group_by)) {
+        return res.status(400).json({ message: "group_by must be 'day' or 'week'" });
+      }
+      if (!["rows", "totals"].includes(reportType)) {
+        return res.status(400).json({ message: "report must be 'rows' or 'totals'" });
+      }
+
+      let query = supabaseAdmin
+        .from("shifts")
+        .select(`${SHIFT_FIELDS}, user:users(full_name)`)
+        .gte("clock_in", from)
+        .lt("clock_in", to)
+        .order("clock_in", { ascending: true });
+      if (user_id) query = query.eq("user_id", user_id);
+
+      const { data: shifts, error } = await query;
+      if (error) throw error;
+
+      const rows = {};
+      const totals = {};
+      for (const shift of shifts) {
+        const period = periodKey(shift.clock_in, group_by);
+        const key = `${shift.user_id}|${period}`;
+        const ms = workedMs(shift);
+
+        rows[key] ??= {
+          user_id: shift.user_id,
+          full_name: shift.user?.full_name || null,
+          period,
+          shifts: 0,
+          worked_ms: 0,
+          open_shifts: 0,
+        };
+        rows[key].shifts += 1;
+        rows[key].worked_ms += ms;
+        if (!shift.clock_out) rows[key].open_shifts += 1;
+
+        totals[shift.user_id] ??= { user_id: shift.user_id, full_name: shift.user?.full_name || null, worked_ms: 0 };
+        totals[shift.user_id].worked_ms += ms;
+      }
+
+      const report = Object.values(rows)
+        .sort((a, b) => a.period.localeCompare(b.period) || String(a.full_name).localeCompare(String(b.full_name)))
+        .map(({ worked_ms, ...row }) => ({ ...row, hours: roundHours(worked_ms) }));
+
+      const employeeTotals = Object.values(totals)
+        .sort((a, b) => String(a.full_name).localeCompare(String(b.full_name)))
+        .map(({ worked_ms, ...t }) => ({ ...t, total_hours: roundHours(worked_ms) }));
+
+      if (format === "csv") {
+        res.setHeader("Content-Type", "text/csv");
+        if (reportType === "totals") {
+          res.setHeader("Content-Disposition", `attachment; filename="attendance_totals_${from}_${to}.csv"`);
+          return res.send(toCsv(employeeTotals, ["user_id", "full_name", "total_hours"]));
+        }
+        res.setHeader("Content-Disposition", `attachment; filename="attendance_${from}_${to}.csv"`);
+        return res.send(toCsv(report, ["period", "user_id", "full_name", "shifts", "open_shifts", "hours"]));
+      }
+
+      res.json({
+        from,
+        to,
+        group_by,
+        rows: report,
+        totals: employeeTotals,
+      });
+    } catch (err) {
+      res.status(500).json({ message: err.message });
+    }
+  });
+}